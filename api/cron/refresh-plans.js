@@ -0,0 +1,152 @@
+import crypto from "crypto";
+import {
+  withTenant,
+  slackPost,
+  getHubSpotAccessToken,
+  hubspotClient,
+  getDealById,
+  listChannelDealBindings
+} from "../slack/utils.js";
+import { fetchPlanChannelHistory, generatePlanForDeal } from "../slack/plan.js";
+import { buildDealContext } from "../slack/deal-context.js";
+import { comparePlan, recordPlan, renderPlanDiff, hasMaterialChanges } from "../slack/deployment-plan.js";
+import { renderReportMessages, postReport } from "../slack/blocks.js";
+import { partialDataNote } from "../slack/hubspot-http.js";
+import { loadStageLabels, describeDealStage } from "../slack/deal-stages.js";
+
+// ===== Scheduled Deployment Plan Refresh =====
+// Invoked by Vercel cron (see vercel.json) — or locally with
+//   curl -H "Authorization: Bearer $CRON_SECRET" "http://localhost:3000/api/cron/refresh-plans?dry_run=1"
+// Regenerates the plan for every channel linked (via /deco link) to a deal in a
+// post-sales stage — a won stage of its pipeline, per the portal's stage metadata
+// (deal-stages.js) — and posts to the channel only when something material changed.
+//
+// PLAN_REFRESH_STAGES       comma-separated HubSpot deal stage IDs to refresh instead
+//                           of the won stages
+// PLAN_REFRESH_CONCURRENCY  channels processed at once (default 3)
+// PLAN_REFRESH_BUDGET_MS    stop starting new channels after this long (default 240000)
+
+const DEFAULT_WON_STAGE = "closedwon";
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_BUDGET_MS = 240000;
+
+/** Stage IDs from PLAN_REFRESH_STAGES, or null to refresh won stages. */
+function refreshStages() {
+  const stages = (process.env.PLAN_REFRESH_STAGES || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return stages.length ? new Set(stages) : null;
+}
+
+/** Whether a deal's stage is one to refresh. Without stage metadata for it, only
+ *  HubSpot's default won stage counts. */
+async function isRefreshStage(hs, props, stages) {
+  if (stages) return stages.has(props.dealstage);
+  const labels = await loadStageLabels(hs, { stageIds: [props.dealstage] });
+  return describeDealStage(labels, props).isWon ?? props.dealstage === DEFAULT_WON_STAGE;
+}
+
+function isAuthorized(req) {
+  const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET}`);
+  const actual = Buffer.from(req.headers.authorization || "");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/** Run `fn` over `items` with at most `limit` in flight. */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/** Regenerate one channel's plan. Runs inside the channel's tenant. */
+async function refreshChannelPlan({ channel_id, binding }, { stages, dryRun }) {
+  const hs = await hubspotClient(await getHubSpotAccessToken());
+  const deal = await getDealById(hs, binding.dealId);
+  if (!deal) return { status: "skipped", reason: "deal_not_found" };
+
+  const stage = deal.properties?.dealstage || null;
+  if (!(await isRefreshStage(hs, deal.properties || {}, stages))) {
+    return { status: "skipped", reason: `stage ${stage || "unknown"}` };
+  }
+
+  const [ctx, channelMessages] = await Promise.all([
+    buildDealContext(hs, deal, { dealQuery: binding.dealName, dealReason: "linked with /deco link", dealSource: "binding" }),
+    fetchPlanChannelHistory(channel_id)
+  ]);
+  const { dealId, dealName, portalId, hubspotDealUrl } = ctx;
+  const { plan, planText } = await generatePlanForDeal(ctx, channelMessages);
+
+  if (dryRun) return { status: "dry_run", dealId, dealName };
+
+  const meta = { dealName, channel_id, generatedBy: "cron" };
+  const { previous, changes } = await comparePlan(portalId, dealId, plan);
+  // The first run only records a baseline to diff future runs against
+  if (!previous || !hasMaterialChanges(changes)) {
+    await recordPlan(portalId, dealId, plan, meta);
+    return previous
+      ? { status: "unchanged", dealId, dealName, changes: changes.length }
+      : { status: "baseline", dealId, dealName };
+  }
+
+  const diffText = renderPlanDiff(changes, { dealName, previousGeneratedAt: previous.generatedAt });
+  const posted = await slackPost(channel_id, diffText);
+  const messages = renderReportMessages(planText, {
+    title: `Deployment Plan: ${dealName}`,
+    hubspotDealUrl,
+    footer: [`Refreshed automatically by DeCo from HubSpot and Slack · *${dealName}* — linked with /deco link`, partialDataNote(hs)]
+      .filter(Boolean)
+      .join("\n")
+  });
+  await postReport(channel_id, messages, { thread_ts: posted.ts, fallbackText: planText });
+  // Recorded after posting, so a failed post is retried against the same baseline
+  await recordPlan(portalId, dealId, plan, meta);
+  return { status: "posted", dealId, dealName, changes: changes.length };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).send("Method Not Allowed");
+
+  if (!process.env.CRON_SECRET) {
+    return res.status(500).send("Missing CRON_SECRET");
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).send("Unauthorized");
+  }
+
+  const url = new URL(req.url, "http://localhost");
+  const dryRun = url.searchParams.get("dry_run") === "1";
+  const onlyChannel = url.searchParams.get("channel");
+
+  const stages = refreshStages();
+  const concurrency = Number(process.env.PLAN_REFRESH_CONCURRENCY) || DEFAULT_CONCURRENCY;
+  const deadline = Date.now() + (Number(process.env.PLAN_REFRESH_BUDGET_MS) || DEFAULT_BUDGET_MS);
+
+  let bindings = await listChannelDealBindings();
+  if (onlyChannel) bindings = bindings.filter((b) => b.channel_id === onlyChannel);
+
+  const results = await mapWithConcurrency(bindings, concurrency, async (entry) => {
+    const base = { team_id: entry.teamId, channel_id: entry.channel_id, deal_id: entry.binding.dealId };
+    if (Date.now() > deadline) return { ...base, status: "deferred" };
+    try {
+      const result = await withTenant(entry.teamId, () => refreshChannelPlan(entry, { stages, dryRun }));
+      return { ...base, ...result };
+    } catch (err) {
+      console.error(`[refresh-plans] ${entry.channel_id} error:`, err?.message || err);
+      return { ...base, status: "error", error: err?.message || "unknown_error" };
+    }
+  });
+
+  const counts = results.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+  console.log("[refresh-plans] done:", JSON.stringify(counts));
+  return res.status(200).json({ ok: true, dry_run: dryRun, counts, results });
+}
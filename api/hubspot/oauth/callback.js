@@ -1,9 +1,15 @@
 import axios from "axios";
-import { getRedis, withTimeout } from "../../slack/utils.js";
+import {
+  storeHubSpotTokens,
+  getHubSpotPortalIdForToken,
+  getTeamPortalId,
+  setTeamPortalId
+} from "../../slack/utils.js";
+import { consumeOAuthState, sendOAuthStateError } from "../../slack/oauth-state.js";
 
 export default async function handler(req, res) {
   try {
-    const { code, error, error_description } = req.query;
+    const { code, error, error_description, state } = req.query;
 
     console.log("HubSpot callback hit", { hasCode: Boolean(code), error: error || null });
 
@@ -14,6 +20,12 @@ export default async function handler(req, res) {
     }
     if (!code) return res.status(400).send("Missing ?code= in callback");
 
+    const stateCheck = await consumeOAuthState(req, res, "hubspot", state);
+    if (!stateCheck.ok) {
+      console.warn("HubSpot callback rejected state:", stateCheck.reason);
+      return sendOAuthStateError(res, "hubspot", stateCheck.reason);
+    }
+
     const clientId = process.env.HUBSPOT_CLIENT_ID;
     const clientSecret = process.env.HUBSPOT_CLIENT_SECRET;
     const redirectUri = process.env.HUBSPOT_REDIRECT_URI;
@@ -43,22 +55,38 @@ export default async function handler(req, res) {
       return res.status(500).send("Token exchange response missing access_token or refresh_token");
     }
 
-    const expiresAtMs = Date.now() + Number(expires_in || 0) * 1000;
+    const portalId = await getHubSpotPortalIdForToken(access_token);
+    if (!portalId) {
+      return res.status(500).send("Could not determine the HubSpot portal (hub_id) for this install");
+    }
 
-    console.log("Writing tokens to Redis...");
-    const redis = getRedis();
-    await withTimeout(
-      Promise.all([
-        redis.set("hubspot:access_token", access_token),
-        redis.set("hubspot:refresh_token", refresh_token),
-        redis.set("hubspot:expires_at_ms", String(expiresAtMs)),
-      ]),
-      5000,
-      "Redis write timeout — could not store HubSpot tokens. Check Redis connectivity."
-    );
-    console.log("Redis write success");
+    console.log("Writing tokens to Redis for portal %s...", portalId);
+    await storeHubSpotTokens(portalId, { access_token, refresh_token, expires_in });
+
+    // Connect the portal to the Slack workspace named by the connect link. An existing
+    // connection to another portal is only replaced when a workspace admin asked for it.
+    const { teamId = null, replace = false } = stateCheck.data || {};
+    if (!teamId) {
+      console.log("Stored tokens for portal %s without a workspace", portalId);
+      return res
+        .status(200)
+        .send(`✅ HubSpot portal ${portalId} authorized. To use it from Slack, run /deco connect-hubspot in your workspace.`);
+    }
+
+    const existing = await getTeamPortalId(teamId);
+    if (existing && existing !== String(portalId) && !replace) {
+      console.warn("Refused to move team %s from portal %s to %s without admin confirmation", teamId, existing, portalId);
+      return res
+        .status(409)
+        .send(
+          `This Slack workspace is already connected to HubSpot portal ${existing}. ` +
+          "A workspace admin can run /deco connect-hubspot to switch it to another portal."
+        );
+    }
+    await setTeamPortalId(teamId, portalId);
+    console.log("Connected team %s to portal %s%s", teamId, portalId, existing && existing !== String(portalId) ? ` (was ${existing})` : "");
 
-    return res.status(200).send("✅ HubSpot connected. You can close this tab and run /summary in Slack.");
+    return res.status(200).send(`✅ HubSpot portal ${portalId} connected. You can close this tab and run /summary in Slack.`);
   } catch (err) {
     console.error("Callback crashed", err?.response?.data || err?.message || err);
     return res.status(500).send(`Callback crashed: ${err?.message || "unknown_error"}`);
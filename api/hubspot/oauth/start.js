@@ -1,3 +1,5 @@
+import { issueOAuthState, consumeHubSpotConnectGrant } from "../../slack/oauth-state.js";
+
 export default async function handler(req, res) {
   const clientId = process.env.HUBSPOT_CLIENT_ID;
   const redirectUri = process.env.HUBSPOT_REDIRECT_URI;
@@ -9,7 +11,25 @@ export default async function handler(req, res) {
       .send("Missing HUBSPOT_CLIENT_ID, HUBSPOT_REDIRECT_URI, or HUBSPOT_SCOPES");
   }
 
-  const state = "deal-context-bot";
+  // ?grant=... is a connect link issued by the Slack install callback or
+  // /deco connect-hubspot; the workspace it connects travels inside the signed state.
+  // Without one the portal's tokens are stored but it isn't connected to a workspace.
+  let grant = null;
+  let state;
+  try {
+    if (req.query?.grant) {
+      grant = await consumeHubSpotConnectGrant(req.query.grant);
+      if (!grant) {
+        return res
+          .status(400)
+          .send("This HubSpot connect link has expired or was already used. Run /deco connect-hubspot in Slack for a new one.");
+      }
+    }
+    state = await issueOAuthState(res, "hubspot", grant || {});
+  } catch (err) {
+    console.error("HubSpot OAuth start failed:", err?.message || err);
+    return res.status(500).send(`Could not start HubSpot install: ${err?.message || "unknown_error"}`);
+  }
 
   const authUrl =
     "https://app.hubspot.com/oauth/authorize" +
@@ -19,4 +39,4 @@ export default async function handler(req, res) {
     `&state=${encodeURIComponent(state)}`;
 
   return res.redirect(authUrl);
-}
\ No newline at end of file
+}
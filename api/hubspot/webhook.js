@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import { waitUntil } from "@vercel/functions";
+import { readRawBody, getHubSpotAccessToken, hubspotClient, getAssociatedIds } from "../slack/utils.js";
+import { invalidateDealBundles } from "../slack/deal-bundle.js";
+
+// ===== HubSpot Webhook: Deal Cache Invalidation =====
+// Subscribe the HubSpot app to deal, contact, company, line item and engagement
+// (email, call, meeting, note) creation / property / association changes with this
+// endpoint as the target URL. Each event drops the cached bundle (deal-bundle.js) of
+// every deal it touches; for non-deal objects the deals are found via associations.
+// With HUBSPOT_RELATED_ACTIVITY=1 a bundle also holds activity logged only against
+// the deal's contacts and companies (hubspot-data.js), so an engagement's deals
+// include those of its contacts and companies.
+// Requests are verified with HubSpot's v3 signature (HUBSPOT_CLIENT_SECRET).
+
+const MAX_TIMESTAMP_SKEW_MS = 5 * 60 * 1000;
+
+// Object type IDs (new-style subscriptions) and names (legacy "contact.propertyChange")
+const OBJECT_TYPES = {
+  "0-1": "contacts",
+  "0-2": "companies",
+  "0-3": "deals",
+  "0-8": "line_items",
+  "0-46": "notes",
+  "0-47": "meetings",
+  "0-48": "calls",
+  "0-49": "emails",
+  contact: "contacts",
+  company: "companies",
+  deal: "deals",
+  line_item: "line_items",
+  note: "notes",
+  meeting: "meetings",
+  call: "calls",
+  email: "emails"
+};
+
+export function verifyHubSpotSignature(req, rawBody) {
+  const signature = req.headers["x-hubspot-signature-v3"];
+  const timestamp = req.headers["x-hubspot-request-timestamp"];
+  if (!signature || !timestamp) return false;
+  if (Math.abs(Date.now() - Number(timestamp)) > MAX_TIMESTAMP_SKEW_MS) return false;
+
+  const uri = `https://${req.headers["x-forwarded-host"] || req.headers.host}${req.url}`;
+  const expected = crypto
+    .createHmac("sha256", process.env.HUBSPOT_CLIENT_SECRET)
+    .update(`${req.method}${uri}${rawBody}${timestamp}`, "utf8")
+    .digest("base64");
+
+  try {
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  } catch {
+    return false;
+  }
+}
+
+const ENGAGEMENT_TYPES = new Set(["emails", "calls", "meetings", "notes"]);
+
+function typeFromName(name) {
+  return OBJECT_TYPES[(name || "").toLowerCase()] || null;
+}
+
+/** [objectType, objectId] pairs an event is about — both ends of an association
+ *  change ("CONTACT_TO_DEAL"), otherwise the changed object. */
+function eventObjects(event) {
+  if (event.fromObjectId && event.toObjectId) {
+    const [fromName, toName] = (event.associationType || "").split("_TO_");
+    return [
+      [OBJECT_TYPES[event.fromObjectTypeId] || typeFromName(fromName), event.fromObjectId],
+      [OBJECT_TYPES[event.toObjectTypeId] || typeFromName(toName), event.toObjectId]
+    ];
+  }
+  const [prefix] = (event.subscriptionType || "").split(".");
+  return [[OBJECT_TYPES[event.objectTypeId] || typeFromName(prefix), event.objectId]];
+}
+
+/** IDs of the deals whose cached bundle may include this object. */
+async function dealIdsFor(hs, type, id) {
+  const direct = getAssociatedIds(hs, type, id, "deals");
+  if (!ENGAGEMENT_TYPES.has(type) || process.env.HUBSPOT_RELATED_ACTIVITY !== "1") return direct;
+
+  const owners = await Promise.allSettled(
+    ["contacts", "companies"].map(async (ownerType) =>
+      (await getAssociatedIds(hs, type, id, ownerType)).map((ownerId) => [ownerType, ownerId])
+    )
+  );
+  const viaOwners = await Promise.allSettled(
+    owners
+      .flatMap((r) => (r.status === "fulfilled" ? r.value : []))
+      .map(([ownerType, ownerId]) => getAssociatedIds(hs, ownerType, ownerId, "deals"))
+  );
+  return [...(await direct), ...viaOwners.flatMap((r) => (r.status === "fulfilled" ? r.value : []))];
+}
+
+async function invalidateForPortal(portalId, events) {
+  const dealIds = new Set();
+  const lookups = new Map();
+  for (const event of events) {
+    const objects = eventObjects(event).filter(([type, id]) => type && id);
+    const deals = objects.filter(([type]) => type === "deals");
+    deals.forEach(([, id]) => dealIds.add(String(id)));
+    // Only follow associations when the event doesn't name the deal itself
+    if (!deals.length) objects.forEach(([type, id]) => lookups.set(`${type}:${id}`, [type, id]));
+  }
+
+  // A deleted engagement has no associations left; the TTL covers that case
+  if (lookups.size) {
+    const hs = await hubspotClient(await getHubSpotAccessToken(portalId), portalId);
+    const results = await Promise.allSettled(
+      [...lookups.values()].map(([type, id]) => dealIdsFor(hs, type, id))
+    );
+    results.forEach((r) => r.status === "fulfilled" && r.value.forEach((id) => dealIds.add(String(id))));
+  }
+
+  const removed = await invalidateDealBundles(portalId, [...dealIds]);
+  console.log("[hubspot-webhook] portal %s: %d events, %d deals, %d cached bundles dropped", portalId, events.length, dealIds.size, removed);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).send("Method Not Allowed");
+
+  if (!process.env.HUBSPOT_CLIENT_SECRET) {
+    return res.status(500).send("Missing HUBSPOT_CLIENT_SECRET");
+  }
+
+  const rawBody = await readRawBody(req);
+  if (!verifyHubSpotSignature(req, rawBody)) {
+    return res.status(401).send("Invalid signature");
+  }
+
+  let events;
+  try {
+    events = JSON.parse(rawBody || "[]");
+  } catch {
+    return res.status(400).send("Invalid JSON");
+  }
+  if (!Array.isArray(events)) events = [events];
+
+  // Acknowledge immediately — HubSpot retries deliveries that take over 5 seconds
+  res.status(200).send("");
+
+  const byPortal = new Map();
+  for (const event of events) {
+    const portalId = String(event.portalId || "");
+    if (!portalId) continue;
+    if (!byPortal.has(portalId)) byPortal.set(portalId, []);
+    byPortal.get(portalId).push(event);
+  }
+
+  waitUntil(
+    Promise.all(
+      [...byPortal].map(([portalId, portalEvents]) =>
+        invalidateForPortal(portalId, portalEvents).catch((err) => {
+          console.error("[hubspot-webhook] portal %s error:", portalId, err?.message || err);
+        })
+      )
+    )
+  );
+}
@@ -0,0 +1,41 @@
+import crypto from "crypto";
+import { waitUntil } from "@vercel/functions";
+import { runWorker } from "../slack/jobs.js";
+// Loaded for their job definitions (defineJob) — summary, plan and mention
+import "../slack/handoff.js";
+import "../slack/plan.js";
+import "../slack/events.js";
+
+// ===== Job Worker =====
+// Runs queued /summary, /plan and @mention jobs (api/slack/jobs.js). Triggered by
+// enqueueJob, by itself while work remains and every minute by cron (vercel.json),
+// which picks up jobs whose worker was killed; authorised with CRON_SECRET like the
+// cron endpoints. Also runnable by hand:
+//   curl -X POST -H "Authorization: Bearer $CRON_SECRET" http://localhost:3000/api/jobs/worker
+
+function isAuthorized(req) {
+  const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET}`);
+  const actual = Buffer.from(req.headers.authorization || "");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).send("Method Not Allowed");
+
+  if (!process.env.CRON_SECRET) {
+    return res.status(500).send("Missing CRON_SECRET");
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).send("Unauthorized");
+  }
+
+  // Answer the trigger right away; the queue is worked in the background
+  res.status(202).json({ ok: true });
+
+  waitUntil(
+    runWorker()
+      .then((counts) => console.log("[job-worker] done:", JSON.stringify(counts)))
+      .catch((err) => console.error("[job-worker] error:", err?.message || err))
+  );
+}
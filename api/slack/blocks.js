@@ -0,0 +1,176 @@
+import { slackPost, slackUpdate } from "./utils.js";
+
+// ===== Block Kit Rendering for /summary and /plan =====
+// The model answers in Slack mrkdwn with `*Section Header*` lines. We turn that
+// into a header + "Open in HubSpot" button, one section block per report section
+// separated by dividers, and split across messages (continuations go in a
+// thread) so long reports stay within Slack's block and length limits.
+
+const MAX_SECTION_TEXT = 3000; // Slack limit per section text object
+const MAX_BLOCKS_PER_MESSAGE = 50;
+const MAX_CHARS_PER_MESSAGE = 12000; // stay well clear of msg_too_long
+const MAX_HEADER_TEXT = 150;
+
+const SECTION_HEADER_PATTERN = /^\*([^*]+)\*:?\s*$/;
+
+/** Split mrkdwn into [{ title, lines }] on standalone `*Header*` lines. */
+export function parseReportSections(text) {
+  const sections = [];
+  let current = { title: null, lines: [] };
+  for (const rawLine of (text || "").split("\n")) {
+    const line = rawLine.replace(/\s+$/, "");
+    const header = line.match(SECTION_HEADER_PATTERN);
+    if (header) {
+      if (current.title || current.lines.some(Boolean)) sections.push(current);
+      current = { title: header[1].trim(), lines: [] };
+      continue;
+    }
+    current.lines.push(line.replace(/^(\s*)[-*]\s+/, "$1• "));
+  }
+  if (current.title || current.lines.some(Boolean)) sections.push(current);
+  return sections.map((s) => ({ title: s.title, body: s.lines.join("\n").trim() }));
+}
+
+/** Break text into chunks of at most `max` chars, preferring line boundaries. */
+function chunkText(text, max) {
+  const chunks = [];
+  let current = "";
+  for (const line of text.split("\n")) {
+    if (line.length > max) {
+      if (current) chunks.push(current);
+      for (let i = 0; i < line.length; i += max) chunks.push(line.slice(i, i + max));
+      current = "";
+      continue;
+    }
+    const next = current ? `${current}\n${line}` : line;
+    if (next.length > max) {
+      chunks.push(current);
+      current = line;
+    } else {
+      current = next;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function sectionBlocks({ title, body }) {
+  const text = title ? `*${title}*${body ? `\n${body}` : ""}` : body;
+  return chunkText(text, MAX_SECTION_TEXT).map((chunk) => ({
+    type: "section",
+    text: { type: "mrkdwn", text: chunk }
+  }));
+}
+
+/** Render a model report into one or more Slack messages: [{ text, blocks }].
+ *  `text` is the plain-text fallback for notifications and clients without Block Kit. */
+export function renderReportMessages(reportText, { title, hubspotDealUrl = null, footer = null } = {}) {
+  const hasDealLink = /^https?:\/\//.test(hubspotDealUrl || "");
+  const sections = parseReportSections(reportText)
+    .map((s) => ({
+      ...s,
+      // The deal link is rendered as a button — drop the bare URL line
+      body: hasDealLink
+        ? s.body.split("\n").filter((l) => l.trim() !== hubspotDealUrl).join("\n").trim()
+        : s.body
+    }))
+    // The model often repeats the report title as its first header
+    .filter((s, i) => !(i === 0 && s.title && title && s.title.trim() === title.trim() && !s.body))
+    .filter((s) => s.title || s.body);
+
+  const lead = [{ type: "header", text: { type: "plain_text", text: title.slice(0, MAX_HEADER_TEXT), emoji: true } }];
+  if (hasDealLink) {
+    lead.push({
+      type: "actions",
+      elements: [
+        { type: "button", text: { type: "plain_text", text: "Open in HubSpot" }, url: hubspotDealUrl, action_id: "open_in_hubspot" }
+      ]
+    });
+  }
+
+  const body = [];
+  sections.forEach((s, i) => {
+    if (i > 0 || body.length) body.push({ type: "divider" });
+    body.push(...sectionBlocks(s));
+  });
+  if (footer) {
+    body.push({ type: "context", elements: [{ type: "mrkdwn", text: footer }] });
+  }
+
+  // Pack blocks into messages without splitting a section from its divider
+  const messages = [];
+  let blocks = [...lead];
+  let chars = 0;
+  for (const block of body) {
+    const size = block.text?.text?.length || block.elements?.[0]?.text?.length || 0;
+    const full = blocks.length >= MAX_BLOCKS_PER_MESSAGE || chars + size > MAX_CHARS_PER_MESSAGE;
+    if (full && blocks.length) {
+      messages.push(blocks);
+      blocks = [];
+      chars = 0;
+    }
+    if (block.type === "divider" && !blocks.length) continue;
+    blocks.push(block);
+    chars += size;
+  }
+  if (blocks.length) messages.push(blocks);
+
+  return messages.map((msgBlocks, i) => {
+    const plain = blocksText(msgBlocks);
+    const prefix = i === 0 ? "" : `${title} (continued)\n\n`;
+    return { text: chunkText(prefix + plain, MAX_SECTION_TEXT)[0] || title, blocks: msgBlocks };
+  });
+}
+
+/** The text of a message's header, section and context blocks. */
+function blocksText(blocks) {
+  return blocks
+    .map((b) => {
+      if (b.type === "header" || b.type === "section") return b.text.text;
+      if (b.type === "context") return b.elements.map((e) => e.text).join(" ");
+      return "";
+    })
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/** Post a rendered report. The first message goes to the channel (or `thread_ts`),
+ *  or replaces the message at `replace_ts` (a progress placeholder, progress.js);
+ *  continuations are threaded under it. If Slack rejects the blocks, the raw
+ *  report text is posted instead — or, once part of the report is up, the text of
+ *  the messages still to post. Returns the first message's response. */
+export async function postReport(channel_id, messages, { thread_ts = null, replace_ts = null, fallbackText = null } = {}) {
+  let first = null;
+  let replacing = !!replace_ts;
+  const send = async (text, blocks = null) => {
+    let resp = null;
+    if (!first && replacing) {
+      try {
+        resp = await slackUpdate(channel_id, replace_ts, text, blocks);
+      } catch (err) {
+        // The placeholder is gone (deleted, or too old to edit) — post a new message
+        if (!/message_not_found|cant_update_message|edit_window_closed/.test(err.message)) throw err;
+        console.error("[postReport] can't replace %s, posting instead:", replace_ts, err.message);
+        replacing = false;
+      }
+    }
+    if (!resp) resp = await slackPost(channel_id, text, thread_ts || first?.ts || null, blocks);
+    if (!first) first = resp;
+  };
+  let posted = 0;
+  try {
+    for (const { text, blocks } of messages) {
+      await send(text, blocks);
+      posted++;
+    }
+  } catch (err) {
+    if (!fallbackText || !/invalid_blocks|msg_too_long/.test(err.message)) throw err;
+    console.error("[postReport] Block Kit post rejected, falling back to plain text:", err.message);
+    // Only the messages not posted yet — the whole report when none were
+    const rest = posted
+      ? messages.slice(posted).map(({ text, blocks }) => (blocks ? blocksText(blocks) : text)).join("\n\n")
+      : fallbackText;
+    for (const chunk of chunkText(rest, MAX_CHARS_PER_MESSAGE)) await send(chunk);
+  }
+  return first;
+}
@@ -0,0 +1,119 @@
+import { buildHubSpotDealUrl, getMessagePermalink } from "./utils.js";
+
+// ===== Source Citations =====
+// Every timeline line and channel message in a prompt carries a short, stable ID
+// (E-/C-/M-/N- + base36 engagement ID for emails/calls/meetings/notes, S- + base36
+// message ts for Slack). The model cites those IDs inline as [E-1k3z9]; linkCitations
+// turns them into numbered footnotes linking back to HubSpot or the Slack message.
+
+const ENGAGEMENT_PREFIX = { email: "E", call: "C", meeting: "M", note: "N" };
+const TYPE_LABEL = { email: "Email", call: "Call", meeting: "Meeting", note: "Note", slack: "Slack message" };
+
+const CITATION_GROUP = /\[\s*([ECMNS]-[0-9a-z]+(?:\s*[,;]\s*[ECMNS]-[0-9a-z]+)*)\s*\]/g;
+
+export function engagementCitationId(type, engagementId) {
+  const n = Number(engagementId);
+  return `${ENGAGEMENT_PREFIX[type]}-${Number.isFinite(n) ? n.toString(36) : String(engagementId)}`;
+}
+
+export function slackCitationId(ts) {
+  return `S-${Number(String(ts).replace(".", "")).toString(36)}`;
+}
+
+function isoDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().split("T")[0];
+}
+
+/** Remove citation IDs from output that isn't footnoted (the timeline carries
+ *  them into every prompt, and models sometimes echo them unasked). */
+export function stripCitations(text) {
+  return (text || "").replace(new RegExp(`[ \\t]*${CITATION_GROUP.source}`, "g"), "");
+}
+
+/** Map citation ID → source for everything that went into the prompt. */
+export function buildSourceMap({ emails = [], calls = [], meetings = [], notes = [], channelMessages = [] }) {
+  const sources = new Map();
+  const addEngagements = (type, records, titleOf, dateProp = "hs_timestamp") => {
+    for (const rec of records || []) {
+      if (!rec?.id) continue;
+      const p = rec.properties || {};
+      sources.set(engagementCitationId(type, rec.id), {
+        type,
+        engagementId: String(rec.id),
+        title: titleOf(p),
+        date: isoDate(p[dateProp])
+      });
+    }
+  };
+  addEngagements("email", emails, (p) => p.hs_email_subject || "No subject");
+  addEngagements("call", calls, (p) => p.hs_call_title || null);
+  addEngagements("meeting", meetings, (p) => p.hs_meeting_title || null);
+  addEngagements("note", notes, () => null, "hs_createdate");
+
+  for (const msg of channelMessages || []) {
+    if (!msg?.ts) continue;
+    sources.set(slackCitationId(msg.ts), {
+      type: "slack",
+      ts: msg.ts,
+      title: msg.user ? `<@${msg.user}>` : msg.username || null,
+      date: isoDate(Number(msg.ts) * 1000)
+    });
+  }
+  return sources;
+}
+
+async function sourceUrl(source, { portalId, dealId, channel_id }) {
+  if (source.type === "slack") return channel_id ? getMessagePermalink(channel_id, source.ts) : null;
+  if (!portalId || !dealId) return null;
+  return `${buildHubSpotDealUrl(portalId, dealId)}?engagement=${source.engagementId}`;
+}
+
+function sourceLabel(source) {
+  const title = source.type === "email" && source.title ? `"${source.title}"` : source.title;
+  return [TYPE_LABEL[source.type], title, source.date].filter(Boolean).join(" · ");
+}
+
+/** Replace cited IDs with numbered footnote markers and append a Sources list.
+ *  IDs that aren't in `sources` (hallucinated or mistyped) are dropped. */
+export async function linkCitations(text, sources, { portalId = null, dealId = null, channel_id = null } = {}) {
+  const order = [];
+  const numbered = new Map();
+  const marked = (text || "").replace(CITATION_GROUP, (_, group) => {
+    const markers = group
+      .split(/[,;]/)
+      .map((id) => id.trim())
+      .filter((id) => {
+        if (sources.has(id)) return true;
+        console.warn("[linkCitations] dropping unknown citation %s", id);
+        return false;
+      })
+      .map((id) => {
+        if (!numbered.has(id)) {
+          numbered.set(id, numbered.size + 1);
+          order.push(id);
+        }
+        return `\u0000${id}\u0000`;
+      });
+    return [...new Set(markers)].join("");
+  });
+  if (!order.length) return marked.replace(/[ \t]+$/gm, "");
+
+  const urls = await Promise.all(order.map((id) => sourceUrl(sources.get(id), { portalId, dealId, channel_id })));
+  const urlById = new Map(order.map((id, i) => [id, urls[i]]));
+
+  const body = marked
+    .replace(/\u0000([^\u0000]+)\u0000/g, (_, id) => {
+      const n = numbered.get(id);
+      const url = urlById.get(id);
+      return url ? `<${url}|[${n}]>` : `[${n}]`;
+    })
+    .replace(/[ \t]+$/gm, "");
+  const footnotes = order.map((id) => {
+    const label = sourceLabel(sources.get(id));
+    const url = urlById.get(id);
+    return `${numbered.get(id)}. ${url ? `<${url}|${label}>` : label}`;
+  });
+  return `${body}\n\n*Sources*\n${footnotes.join("\n")}`;
+}
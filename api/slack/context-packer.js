@@ -0,0 +1,166 @@
+import { resolveLLMConfig } from "./llm.js";
+
+// ===== Token-Budgeted Prompt Assembly =====
+// Prompts are sized in (estimated) tokens for the task's model instead of fixed
+// character cuts. packContext() splits a budget across sections (timeline, Slack
+// history, thread, …) by weight and fills each recent-first: items go in whole,
+// then as a one-line brief, and whatever still doesn't fit is dropped oldest-first
+// and replaced by a single "N older … omitted" line. Text is only ever shortened
+// at a sentence or word boundary.
+//
+// LLM_PROMPT_TOKENS / LLM_PROMPT_TOKENS_<TASK>    prompt budget (defaults below)
+// LLM_CONTEXT_TOKENS / LLM_CONTEXT_TOKENS_<TASK>  context window, for models not listed here
+
+const DEFAULT_PROMPT_TOKENS = { classifier: 2000, qa: 16000, summary: 24000, plan: 32000 };
+const OUTPUT_RESERVE_TOKENS = 4096;
+const OMITTED_LINE_TOKENS = 40;
+
+// Context windows by model-name prefix (first match wins)
+const CONTEXT_WINDOWS = [
+  ["gpt-4.1", 1047576],
+  ["gpt-4o", 128000],
+  ["gpt-5", 400000],
+  ["o3", 200000],
+  ["o4", 200000],
+  ["claude", 200000]
+];
+const UNKNOWN_CONTEXT_WINDOW = 8192;
+
+function taskEnvNumber(name, task) {
+  const value = Number(process.env[`${name}_${task.toUpperCase()}`] || process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+export function contextWindowFor(task) {
+  const configured = taskEnvNumber("LLM_CONTEXT_TOKENS", task);
+  if (configured) return configured;
+  const model = (resolveLLMConfig(task).model || "").toLowerCase();
+  const known = CONTEXT_WINDOWS.find(([prefix]) => model.startsWith(prefix));
+  return known ? known[1] : UNKNOWN_CONTEXT_WINDOW;
+}
+
+/** Prompt token budget for a task: the configured budget, capped so prompt + answer
+ *  fit in the model's context window. */
+export function promptBudgetFor(task) {
+  const budget = taskEnvNumber("LLM_PROMPT_TOKENS", task) || DEFAULT_PROMPT_TOKENS[task] || DEFAULT_PROMPT_TOKENS.qa;
+  return Math.min(budget, contextWindowFor(task) - OUTPUT_RESERVE_TOKENS);
+}
+
+/** Heuristic token count. BPE tokenizers average ~4 chars/token on English prose
+ *  (Claude's ~3.5); non-ASCII text runs closer to a token per character. */
+export function estimateTokens(text, task = null) {
+  if (!text) return 0;
+  const model = task ? (resolveLLMConfig(task).model || "").toLowerCase() : "";
+  const charsPerToken = model.startsWith("claude") ? 3.5 : 4;
+  const nonAscii = (text.match(/[^\x00-\x7f]/g) || []).length;
+  return Math.ceil((text.length - nonAscii) / charsPerToken + nonAscii);
+}
+
+/** Shorten text to about `maxTokens`, cutting at the last sentence end (or word
+ *  boundary) inside the limit rather than mid-sentence. */
+export function trimToTokens(text, maxTokens, task = null) {
+  if (estimateTokens(text, task) <= maxTokens) return text;
+  let cut = text.slice(0, Math.max(0, Math.floor(maxTokens * 3.5)));
+  while (cut && estimateTokens(cut, task) > maxTokens) cut = cut.slice(0, Math.floor(cut.length * 0.9));
+  const sentenceEnd = Math.max(cut.lastIndexOf(". "), cut.lastIndexOf("! "), cut.lastIndexOf("? "), cut.lastIndexOf("\n"));
+  if (sentenceEnd > cut.length * 0.5) return `${cut.slice(0, sentenceEnd + 1).trim()} …`;
+  const wordEnd = cut.lastIndexOf(" ");
+  return `${(wordEnd > 0 ? cut.slice(0, wordEnd) : cut).trim()} …`;
+}
+
+/** First sentence (or first ~40 tokens) of a body, for brief item renderings. */
+export function firstSentence(text, maxTokens = 40) {
+  const clean = (text || "").replace(/\s+/g, " ").trim();
+  const match = clean.match(/^.*?[.!?](\s|$)/);
+  return trimToTokens(match ? match[0].trim() : clean, maxTokens);
+}
+
+function isoDate(ts) {
+  if (!ts) return null;
+  const d = new Date(ts);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().split("T")[0];
+}
+
+function omittedLine(section, dropped) {
+  const dates = dropped.map((i) => isoDate(i.timestamp)).filter(Boolean).sort();
+  const range = dates.length ? ` from ${dates[0]} to ${dates[dates.length - 1]}` : "";
+  return `(${dropped.length} older ${section.noun || "items"}${range} omitted to fit the prompt budget)`;
+}
+
+/** Fill one section up to `budget` tokens. Items are in priority order (most recent
+ *  first); each is { text, brief?, timestamp? }. */
+function fillSection(section, budget, task) {
+  const maxItem = section.maxItemTokens || Infinity;
+  const included = [];
+  let used = 0;
+  let i = 0;
+  for (; i < section.items.length; i++) {
+    const item = section.items[i];
+    const room = budget - used - (i < section.items.length - 1 ? OMITTED_LINE_TOKENS : 0);
+    let text = trimToTokens(item.text, Math.min(maxItem, room), task);
+    // Fall back to the brief form when the full item would be cut down heavily
+    if (estimateTokens(text, task) < estimateTokens(item.text, task) * 0.5 && item.brief) {
+      text = trimToTokens(item.brief, room, task);
+    }
+    const tokens = estimateTokens(text, task);
+    if (room <= 0 || tokens > room || (tokens < 8 && item.text.length > 40)) break;
+    included.push(text);
+    used += tokens;
+  }
+  return { included, dropped: section.items.slice(i), used };
+}
+
+/** Pack sections into a token budget. `sections` is
+ *  [{ name, items, weight = 1, noun, maxItemTokens, chronological, empty }] and the
+ *  result maps each name to its rendered text (lines joined by "\n"), plus `stats`. */
+export function packContext({ task, budgetTokens, sections }) {
+  const totalWeight = sections.reduce((sum, s) => sum + (s.weight ?? 1), 0) || 1;
+  const result = { stats: {} };
+
+  // First pass: each section gets its weighted share
+  const fills = sections.map((s) => fillSection(s, Math.floor((budgetTokens * (s.weight ?? 1)) / totalWeight), task));
+
+  // Second pass: hand unused budget to sections that dropped items, heaviest first
+  let spare = budgetTokens - fills.reduce((sum, f) => sum + f.used + (f.dropped.length ? OMITTED_LINE_TOKENS : 0), 0);
+  const order = sections.map((s, i) => i).sort((a, b) => (sections[b].weight ?? 1) - (sections[a].weight ?? 1));
+  for (const i of order) {
+    if (spare <= 0 || !fills[i].dropped.length) continue;
+    const before = fills[i].used;
+    fills[i] = fillSection(sections[i], before + spare, task);
+    spare -= fills[i].used - before;
+  }
+
+  sections.forEach((s, i) => {
+    const { included, dropped } = fills[i];
+    // Chronological sections are packed newest-first but rendered oldest-first
+    const lines = s.chronological ? [...included].reverse() : [...included];
+    if (dropped.length) {
+      if (s.chronological) lines.unshift(omittedLine(s, dropped));
+      else lines.push(omittedLine(s, dropped));
+    }
+    result[s.name] = lines.length ? lines.join("\n") : s.empty ?? "";
+    result.stats[s.name] = { included: included.length, dropped: dropped.length, tokens: fills[i].used };
+  });
+  return result;
+}
+
+/** Pack sections into whatever is left of the task's prompt budget once the fixed
+ *  part of the prompt (`render` called with empty sections) is accounted for, and
+ *  return the rendered prompt. */
+export function buildBudgetedPrompt({ task, sections, render }) {
+  const empty = Object.fromEntries(sections.map((s) => [s.name, ""]));
+  const reserved = estimateTokens(render(empty), task);
+  const budgetTokens = Math.max(0, promptBudgetFor(task) - reserved);
+  const packed = packContext({ task, budgetTokens, sections });
+  const dropped = Object.entries(packed.stats).filter(([, st]) => st.dropped);
+  if (dropped.length) {
+    console.log(
+      "[buildBudgetedPrompt] %s: %d fixed + %d packed tokens; dropped %s",
+      task,
+      reserved,
+      budgetTokens,
+      dropped.map(([name, st]) => `${name}=${st.dropped}`).join(", ")
+    );
+  }
+  return render(packed);
+}
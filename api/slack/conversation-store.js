@@ -0,0 +1,171 @@
+import { redis, teamKey, getBotUserId } from "./utils.js";
+import { complete } from "./llm.js";
+
+// ===== Thread Conversation Store =====
+// Everything said in a thread the bot answers in, kept in Redis per channel + thread:
+//   conversation:<channel>:<thread_ts>        hash — dealId (pinned on the first
+//                                             answer), summary, summarizedThroughTs,
+//                                             optedOutBy (user who muted follow-ups)
+//   conversation:<channel>:<thread_ts>:turns  hash — message ts → { user | bot_id, text, ts }
+// Turns are keyed by Slack ts, so recording the same message twice is harmless and
+// concurrent answers in one thread don't overwrite each other. Human replies made in
+// the thread without an @mention are merged in from conversations.replies when the
+// bot is next asked (mergeThreadReplies) and recorded with that answer. Once a
+// thread has more than THREAD_MEMORY_MAX_TURNS turns, the oldest are folded into a
+// running summary (compactConversation) and dropped. A thread with a conversation
+// is one DeCo has joined — an @mention answer, or a /summary or /plan report
+// (trackReportThread) — so plain replies in it can be follow-up questions
+// (events.js); claimReply makes sure each reply is answered once.
+//
+// THREAD_MEMORY_TTL_SECONDS  how long an idle thread is remembered (default 7 days)
+// THREAD_MEMORY_MAX_TURNS    turns kept verbatim before summarising (default 20)
+// THREAD_MEMORY_KEEP_TURNS   most recent turns left verbatim by a summary (default 8)
+
+const SUMMARY_TIMEOUT_MS = 15000;
+const COMPACT_LOCK_SECONDS = 60;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function metaKey(channel_id, thread_ts) {
+  return teamKey(`conversation:${channel_id}:${thread_ts}`);
+}
+
+function turnsKey(channel_id, thread_ts) {
+  return teamKey(`conversation:${channel_id}:${thread_ts}:turns`);
+}
+
+function byTs(a, b) {
+  return Number(a.ts) - Number(b.ts);
+}
+
+function toTurn(msg) {
+  return msg.bot_id
+    ? { bot_id: msg.bot_id, text: msg.text || "", ts: msg.ts }
+    : { user: msg.user, text: msg.text || "", ts: msg.ts };
+}
+
+/** The stored conversation: { dealId, summary, summarizedThroughTs, optedOutBy,
+ *  messages } with messages oldest first, or null when the thread has none. */
+export async function getConversation(channel_id, thread_ts) {
+  const [meta, turns] = await Promise.all([
+    redis.hgetall(metaKey(channel_id, thread_ts)),
+    redis.hgetall(turnsKey(channel_id, thread_ts))
+  ]);
+  const messages = Object.values(turns || {}).map((t) => JSON.parse(t)).sort(byTs);
+  if (!messages.length && !meta?.dealId && !meta?.summary) return null;
+  return {
+    dealId: meta?.dealId || null,
+    summary: meta?.summary || null,
+    summarizedThroughTs: meta?.summarizedThroughTs || null,
+    optedOutBy: meta?.optedOutBy || null,
+    messages
+  };
+}
+
+/** Merge live thread replies (conversations.replies) into a stored conversation.
+ *  Stored turns win — they hold the bot's answers without Slack formatting — and
+ *  replies already summarised or at `excludeTs` (the question being answered) are
+ *  skipped. Returns the merged conversation plus `newReplies` to record. */
+export function mergeThreadReplies(conversation, replies, { excludeTs = null } = {}) {
+  const base = conversation || { dealId: null, summary: null, summarizedThroughTs: null, optedOutBy: null, messages: [] };
+  const known = new Set(base.messages.map((m) => m.ts));
+  const cutoff = Number(base.summarizedThroughTs || 0);
+  const newReplies = (replies || [])
+    .filter((m) => m.ts && m.ts !== excludeTs && !known.has(m.ts) && Number(m.ts) > cutoff && m.text)
+    .map(toTurn);
+  return { ...base, messages: [...base.messages, ...newReplies].sort(byTs), newReplies };
+}
+
+/** Record turns (Slack-shaped messages) and pin the thread's deal. */
+export async function recordTurns(channel_id, thread_ts, messages, { dealId = null } = {}) {
+  const ttl = envInt("THREAD_MEMORY_TTL_SECONDS", 7 * 24 * 60 * 60);
+  const fields = messages.filter((m) => m?.ts).flatMap((m) => [m.ts, JSON.stringify(toTurn(m))]);
+  const tx = redis.multi();
+  if (fields.length) tx.hset(turnsKey(channel_id, thread_ts), ...fields);
+  if (dealId) tx.hset(metaKey(channel_id, thread_ts), "dealId", String(dealId));
+  tx.expire(turnsKey(channel_id, thread_ts), ttl);
+  tx.expire(metaKey(channel_id, thread_ts), ttl);
+  await tx.exec();
+}
+
+/** Start a conversation on a posted report (`report` is its first message) so
+ *  replies in its thread are answered as follow-ups about `dealId`. Best effort: the
+ *  report is already posted, so a failure is only logged. */
+export async function trackReportThread(channel_id, report, text, { dealId }) {
+  if (!report?.ts) return;
+  try {
+    await recordTurns(channel_id, report.ts, [{ bot_id: await getBotUserId(), text, ts: report.ts }], { dealId });
+  } catch (err) {
+    console.error("[trackReportThread] error:", err.message);
+  }
+}
+
+/** Whether DeCo has answered in this thread (and still remembers it). */
+export async function isTrackedThread(channel_id, thread_ts) {
+  return (await redis.exists(metaKey(channel_id, thread_ts), turnsKey(channel_id, thread_ts))) > 0;
+}
+
+/** Mute (or unmute) answers to un-mentioned replies in a thread. @mentions still work. */
+export async function setThreadOptOut(channel_id, thread_ts, userId) {
+  const key = metaKey(channel_id, thread_ts);
+  if (userId) await redis.hset(key, "optedOutBy", userId);
+  else await redis.hdel(key, "optedOutBy");
+}
+
+/** Claim a Slack message for answering. Slack sends both `message` and `app_mention`
+ *  for a mention in a thread; only the first claim for a message ts wins. */
+export async function claimReply(channel_id, ts) {
+  const key = teamKey(`conversation_reply:${channel_id}:${ts}`);
+  return (await redis.set(key, "1", "EX", 60 * 60, "NX")) === "OK";
+}
+
+/** Give up a claim whose answer couldn't be queued, so the message can be answered
+ *  when Slack retries it. */
+export async function releaseReply(channel_id, ts) {
+  await redis.del(teamKey(`conversation_reply:${channel_id}:${ts}`));
+}
+
+function formatTurns(messages) {
+  return messages
+    .map((m) => `${m.bot_id ? "DeCo" : m.user ? `<@${m.user}>` : "Unknown"}: ${m.text}`)
+    .join("\n");
+}
+
+/** Fold the oldest turns into the thread summary once the thread is long. Safe to
+ *  call after every answer; a failed summary leaves the turns in place. */
+export async function compactConversation(channel_id, thread_ts) {
+  const maxTurns = envInt("THREAD_MEMORY_MAX_TURNS", 20);
+  const keepTurns = Math.min(envInt("THREAD_MEMORY_KEEP_TURNS", 8), maxTurns);
+
+  const conversation = await getConversation(channel_id, thread_ts);
+  if (!conversation || conversation.messages.length <= maxTurns) return false;
+
+  const lockKey = teamKey(`conversation_compact:${channel_id}:${thread_ts}`);
+  if (!(await redis.set(lockKey, "1", "EX", COMPACT_LOCK_SECONDS, "NX"))) return false;
+
+  try {
+    const older = conversation.messages.slice(0, conversation.messages.length - keepTurns);
+    const prompt = `Summarize this Slack thread between a post-sales team and DeCo, a deal assistant, so the conversation can continue without the full transcript. Keep what was asked, what was answered (facts, dates, names, numbers), open questions and any decisions. Write at most 200 words of plain prose.
+${conversation.summary ? `\nSummary of the thread before these messages:\n${conversation.summary}\n` : ""}
+Messages (oldest first):
+${formatTurns(older)}`;
+
+    const summary = (await complete("summary", { input: prompt, timeoutMs: SUMMARY_TIMEOUT_MS })).trim();
+    const lastTs = older[older.length - 1].ts;
+    await redis
+      .multi()
+      .hset(metaKey(channel_id, thread_ts), "summary", summary, "summarizedThroughTs", lastTs)
+      .hdel(turnsKey(channel_id, thread_ts), ...older.map((m) => m.ts))
+      .exec();
+    console.log("[compactConversation] summarised %d turns in %s:%s", older.length, channel_id, thread_ts);
+    return true;
+  } catch (err) {
+    console.error("[compactConversation] error:", err.message);
+    return false;
+  } finally {
+    await redis.del(lockKey);
+  }
+}
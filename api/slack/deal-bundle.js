@@ -0,0 +1,136 @@
+import {
+  redis,
+  portalKey,
+  getTenantPortalId,
+  getDealAssociations,
+  batchRead,
+  resolveOwnerName
+} from "./utils.js";
+import {
+  fetchDealEmails,
+  fetchDealCalls,
+  fetchDealMeetings,
+  fetchDealNotes,
+  fetchDealLineItems,
+  relatedActivityScope
+} from "./hubspot-data.js";
+import { loadPropertyConfig, configVersion, configuredProperties, configuredOwnerIds } from "./deal-properties.js";
+
+// ===== Deal Bundle Cache =====
+// Everything @mentions, /summary and /plan read from HubSpot for a deal — owner,
+// contacts, companies, CSM, line items and activity — fetched together and cached
+// in Redis per portal and deal, so repeated questions in a channel don't refetch it.
+// The HubSpot webhook (api/hubspot/webhook.js) drops a deal's bundle when the deal or
+// anything associated with it changes; the TTL bounds staleness if an event is missed.
+// Bundles with sources that failed to load are never cached, and a bundle fetched
+// under a different property config (deal-properties.js) counts as a miss.
+//
+// DEAL_CACHE_TTL_SECONDS  bundle lifetime (default 900, 0 = no caching)
+
+const DEFAULT_TTL_SECONDS = 900;
+
+function cacheTtlSeconds() {
+  const value = parseInt(process.env.DEAL_CACHE_TTL_SECONDS, 10);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_TTL_SECONDS;
+}
+
+function bundleKey(portalId, dealId) {
+  return portalKey(portalId, `deal_bundle:${dealId}`);
+}
+
+/** Drop HTML bodies that have a plain-text version — they dominate bundle size. */
+function compactEmails(emails) {
+  return emails.map((e) =>
+    e.properties?.hs_email_text && e.properties?.hs_email_html
+      ? { ...e, properties: { ...e.properties, hs_email_html: null } }
+      : e
+  );
+}
+
+async function fetchDealBundle(hs, deal, config) {
+  const dealId = deal.id;
+  const pendingAssociations = getDealAssociations(hs, dealId);
+  const related = relatedActivityScope(deal, pendingAssociations);
+  const [ownerName, associations, emails, calls, meetings, notes, lineItems] = await Promise.all([
+    resolveOwnerName(hs, deal.properties?.hubspot_owner_id || null),
+    pendingAssociations,
+    fetchDealEmails(hs, dealId, related),
+    fetchDealCalls(hs, dealId, related),
+    fetchDealMeetings(hs, dealId, related),
+    fetchDealNotes(hs, dealId, related),
+    fetchDealLineItems(hs, dealId)
+  ]);
+
+  // Contacts + companies (depends on associations)
+  const { contactIds, companyIds } = associations;
+  const [contacts, companies] = await Promise.all([
+    batchRead(hs, "contacts", contactIds, ["firstname", "lastname", "jobtitle", "email", ...configuredProperties(config, "contacts")]),
+    batchRead(hs, "companies", companyIds, ["name", "domain", ...configuredProperties(config, "companies")])
+  ]);
+
+  // Names for owner-valued configured properties (e.g. the company CSM)
+  const ownerIds = [
+    ...new Set([
+      ...configuredOwnerIds(config, "deals", [deal]),
+      ...configuredOwnerIds(config, "companies", companies.slice(0, 1)),
+      ...configuredOwnerIds(config, "contacts", contacts)
+    ])
+  ];
+  const names = await Promise.all(ownerIds.map((id) => resolveOwnerName(hs, id)));
+  const ownerNames = Object.fromEntries(ownerIds.map((id, i) => [id, names[i]]).filter(([, name]) => name));
+
+  return {
+    dealId,
+    configVersion: configVersion(config),
+    fetchedAt: new Date().toISOString(),
+    ownerName,
+    ownerNames,
+    contacts,
+    companies,
+    lineItems,
+    emails: compactEmails(emails),
+    calls,
+    meetings,
+    notes
+  };
+}
+
+/** The deal's HubSpot bundle — from cache when fresh, otherwise fetched and cached.
+ *  { dealId, configVersion, fetchedAt, ownerName, ownerNames, contacts, companies,
+ *    lineItems, emails, calls, meetings, notes, cached } */
+export async function loadDealBundle(hs, deal, { portalId = null } = {}) {
+  const ttl = cacheTtlSeconds();
+  const portal = portalId || (await getTenantPortalId());
+  const key = bundleKey(portal, deal.id);
+  const config = await loadPropertyConfig(hs, portal);
+
+  if (ttl) {
+    try {
+      const cached = JSON.parse((await redis.get(key)) || "null");
+      if (cached?.configVersion === configVersion(config)) {
+        console.log("[loadDealBundle] cache hit for deal %s", deal.id);
+        return { ...cached, cached: true };
+      }
+    } catch (err) {
+      console.error("[loadDealBundle] cache read error:", err.message);
+    }
+  }
+
+  const bundle = await fetchDealBundle(hs, deal, config);
+  if (ttl && !hs.failedSources?.size) {
+    try {
+      await redis.set(key, JSON.stringify(bundle), "EX", ttl);
+    } catch (err) {
+      console.error("[loadDealBundle] cache write error:", err.message);
+    }
+  }
+  return { ...bundle, cached: false };
+}
+
+/** Drop cached bundles for the given deals. A legacy install with no portal ID on
+ *  record caches under the portal-less key, so that one is dropped too. */
+export async function invalidateDealBundles(portalId, dealIds) {
+  const keys = [...new Set(dealIds.map(String))].flatMap((id) => [bundleKey(portalId, id), bundleKey(null, id)]);
+  if (!keys.length) return 0;
+  return redis.del(...keys);
+}
@@ -0,0 +1,192 @@
+import {
+  getSlackChannelName,
+  getHubSpotAccessToken,
+  hubspotClient,
+  getTenantPortalId,
+  buildHubSpotDealUrl,
+  resolveDealForChannel,
+  daysBetweenISO
+} from "./utils.js";
+import { formatLineItemsForPrompt } from "./hubspot-data.js";
+import { loadDealBundle } from "./deal-bundle.js";
+import { loadPropertyConfig, evaluateFields, fieldLines } from "./deal-properties.js";
+import { loadStageLabels, describeDealStage } from "./deal-stages.js";
+import { partialDataNote } from "./hubspot-http.js";
+
+// ===== Deal Context =====
+// The one place @mentions, /summary, /plan and the plan refresh turn a channel into
+// "the deal and everything HubSpot knows about it": channel name and HubSpot client,
+// deal resolution (picked deal, /deco link binding, then channel-name search), the
+// cached deal bundle, and the display strings the prompts share. New deal fields
+// belong here so every command picks them up; portal-specific properties are
+// declared in config/deal-properties.json instead (see deal-properties.js).
+
+const NOT_FOUND = "Not found in HubSpot records";
+
+/**
+ * @typedef {Object} DealContext
+ * @property {import("axios").AxiosInstance} hs  HubSpot client (tracks failed sources)
+ * @property {string} channelName
+ * @property {string|null} portalId
+ * @property {object} deal                HubSpot deal record
+ * @property {string} dealId
+ * @property {string} dealName
+ * @property {string} dealQuery           query derived from the channel name
+ * @property {string} dealReason          why this deal was chosen, for footers
+ * @property {string} dealSource          "picked" | "thread" | "binding" | "channel_name"
+ * @property {string} hubspotDealUrl
+ * @property {string|null} created
+ * @property {string|null} closed
+ * @property {number|null} cycleDays
+ * @property {string|null} ownerName
+ * @property {string} ownerLine
+ * @property {string|null} csmName
+ * @property {string} csmLine
+ * @property {string} contactsLine
+ * @property {string} companyLine
+ * @property {string|null} amount         formatted with currency
+ * @property {string|null} dealType
+ * @property {string|null} dealStage      stage label with status and probability,
+ *           e.g. "Contract Sent (open, 80% probability)" — raw ID if unknown
+ * @property {string|null} stageLabel
+ * @property {number|null} stageProbability  0–1
+ * @property {boolean|null} isClosed
+ * @property {boolean|null} isWon
+ * @property {string|null} pipelineName
+ * @property {string|null} description
+ * @property {Array<{key: string, label: string, value: string|null, section: string}>} customFields
+ *           configured fields (deal-properties.js); each is also set on the context by key
+ *           — with the default config: productDescription, isTrial, csm
+ * @property {string} customFieldLines   "deal_info" fields as prompt lines
+ * @property {string|null} lineItems      formatted for prompts
+ * @property {{emails: object[], calls: object[], meetings: object[], notes: object[]}} activity
+ * @property {boolean} cached             whether the bundle came from the cache
+ */
+
+function formatAmount(props) {
+  if (!props.amount) return null;
+  return `${props.deal_currency_code || "$"}${Number(props.amount).toLocaleString()}`;
+}
+
+function formatOwnerLine(ownerName, ownerId) {
+  if (ownerName) return `${ownerName} (Sales)`;
+  return ownerId ? `${ownerId} (name not found in HubSpot)` : NOT_FOUND;
+}
+
+function formatContactsLine(contacts, contactFields) {
+  if (!contacts.length) return NOT_FOUND;
+  return contacts
+    .slice(0, 6)
+    .map((c, i) => {
+      const p = c.properties || {};
+      const nm = [p.firstname, p.lastname].filter(Boolean).join(" ").trim() || "Name not found";
+      const role = p.jobtitle ? `, ${p.jobtitle}` : "";
+      const email = p.email ? ` (${p.email})` : "";
+      const extra = contactFields[i]
+        .filter((f) => f.section === "contacts" && f.value != null)
+        .map((f) => `, ${f.label}: ${f.value}`)
+        .join("");
+      return `${nm}${role}${email}${extra}`;
+    })
+    .join("; ");
+}
+
+function formatCompanyLine(companies) {
+  const names = companies
+    .slice(0, 2)
+    .map((c) => c.properties?.name)
+    .filter(Boolean);
+  return names.length ? names.join("; ") : NOT_FOUND;
+}
+
+/** Build the context for a deal record that's already been resolved. */
+export async function buildDealContext(hs, deal, { channelName = null, dealQuery = null, dealReason = null, dealSource = null } = {}) {
+  const p = deal.properties || {};
+  const portalId = await getTenantPortalId();
+  const [config, bundle, stageLabels] = await Promise.all([
+    loadPropertyConfig(hs, portalId),
+    loadDealBundle(hs, deal, { portalId }),
+    loadStageLabels(hs, { portalId, stageIds: [p.dealstage] })
+  ]);
+  const stage = describeDealStage(stageLabels, p);
+  const ownerNames = bundle.ownerNames || {};
+
+  // Configured fields: deal and first-company values by key, contact values per contact
+  const customFields = [
+    ...evaluateFields(config, "deals", deal, ownerNames),
+    ...evaluateFields(config, "companies", bundle.companies[0], ownerNames)
+  ];
+  const contactFields = bundle.contacts.map((c) => evaluateFields(config, "contacts", c, ownerNames));
+  const csmName = customFields.find((f) => f.key === "csm")?.value || null;
+
+  return {
+    ...Object.fromEntries(customFields.map((f) => [f.key, f.value])),
+    hs,
+    channelName,
+    portalId,
+    deal,
+    dealId: deal.id,
+    dealName: p.dealname || dealQuery,
+    dealQuery,
+    dealReason,
+    dealSource,
+    hubspotDealUrl: buildHubSpotDealUrl(portalId, deal.id),
+    created: p.createdate || null,
+    closed: p.closedate || null,
+    cycleDays: daysBetweenISO(p.createdate, p.closedate),
+    ownerName: bundle.ownerName,
+    ownerLine: formatOwnerLine(bundle.ownerName, p.hubspot_owner_id || null),
+    csmName,
+    csmLine: csmName ? `${csmName} (from company record)` : "Not assigned in HubSpot",
+    contactsLine: formatContactsLine(bundle.contacts, contactFields),
+    companyLine: formatCompanyLine(bundle.companies),
+    amount: formatAmount(p),
+    dealType: p.dealtype || null,
+    dealStage: stage.stageLine,
+    stageLabel: stage.stageLabel,
+    stageProbability: stage.probability,
+    isClosed: stage.isClosed,
+    isWon: stage.isWon,
+    pipelineName: stage.pipelineName,
+    description: p.description || null,
+    customFields,
+    customFieldLines: fieldLines(customFields),
+    lineItems: formatLineItemsForPrompt(bundle.lineItems),
+    activity: { emails: bundle.emails, calls: bundle.calls, meetings: bundle.meetings, notes: bundle.notes },
+    cached: bundle.cached
+  };
+}
+
+/** The context as plain JSON for a job checkpoint (jobs.js): the HubSpot client is
+ *  dropped and its failed sources kept as `partialNote`. */
+export function dealContextSnapshot(ctx) {
+  const { hs, ...rest } = ctx;
+  return { ...rest, partialNote: partialDataNote(hs) };
+}
+
+/** Resolve the channel's deal and load its context. Options: `hs` and `channelName`
+ *  when the caller already has them, `pickedDealId` / `pickedBy` from the deal picker,
+ *  `threadDealId` pinned by an earlier answer in the thread (conversation-store.js),
+ *  `deadline` for the HubSpot client it creates (jobs.js), and `onDealFound(deal)`,
+ *  awaited once the deal resolves and before its activity loads. When no single deal
+ *  resolves, returns { deal: null, candidates?, dealQuery, hs, channelName } —
+ *  candidates are set when several deals match. */
+export async function loadDealContext(channelId, { hs = null, channelName = null, pickedDealId = null, pickedBy = null, threadDealId = null, deadline = null, onDealFound = null } = {}) {
+  const [name, client] = await Promise.all([
+    channelName || getSlackChannelName(channelId),
+    hs || getHubSpotAccessToken().then((token) => hubspotClient(token, null, { deadline }))
+  ]);
+
+  const resolution = await resolveDealForChannel(client, channelId, name, { dealId: pickedDealId, pickedBy, threadDealId });
+  if (!resolution.deal) {
+    return { deal: null, candidates: resolution.candidates || null, dealQuery: resolution.dealQuery, hs: client, channelName: name };
+  }
+  if (onDealFound) await onDealFound(resolution.deal);
+
+  return buildDealContext(client, resolution.deal, {
+    channelName: name,
+    dealQuery: resolution.dealQuery,
+    dealReason: resolution.reason,
+    dealSource: resolution.source
+  });
+}
@@ -0,0 +1,79 @@
+import crypto from "crypto";
+import { redis, teamKey, currentTeamId, resolveOwnerName } from "./utils.js";
+import { loadStageLabels, describeDealStage } from "./deal-stages.js";
+
+// ===== Deal Disambiguation Picker =====
+// When the channel-name search matches several deals, the original request
+// (/summary, /plan or an @mention) is parked in Redis and the user gets an
+// ephemeral Block Kit picker. interactivity.js resumes the request on click.
+
+export const PICK_DEAL_ACTION_ID = "deco_pick_deal";
+const PENDING_TTL_SECONDS = 30 * 60; // Slack response_urls expire after 30 minutes
+
+export async function parkPendingRequest(request) {
+  const id = crypto.randomBytes(9).toString("base64url");
+  await redis.set(
+    teamKey(`pending_deal_pick:${id}`),
+    JSON.stringify({ ...request, teamId: currentTeamId(), createdAt: Date.now() }),
+    "EX",
+    PENDING_TTL_SECONDS
+  );
+  return id;
+}
+
+/** Fetch and delete in one round trip so a double click can't resume twice. */
+export async function takePendingRequest(id) {
+  const key = teamKey(`pending_deal_pick:${id}`);
+  const [[, data]] = await redis.multi().get(key).del(key).exec();
+  if (!data) return null;
+  return JSON.parse(data);
+}
+
+function formatCandidateLine(deal, ownerNames, stageLabels) {
+  const p = deal.properties || {};
+  const stage = describeDealStage(stageLabels, p).stageLabel || "unknown stage";
+  const amount = p.amount
+    ? `${p.deal_currency_code || "$"}${Number(p.amount).toLocaleString()}`
+    : "no amount";
+  const closed = p.closedate ? `closes ${new Date(p.closedate).toISOString().split("T")[0]}` : "no close date";
+  const owner = ownerNames[p.hubspot_owner_id] || "no owner";
+  return `${stage} · ${amount} · ${closed} · ${owner}`;
+}
+
+export async function buildDealPickerBlocks(hs, pendingId, candidates, dealQuery) {
+  const ownerIds = [...new Set(candidates.map((d) => d.properties?.hubspot_owner_id).filter(Boolean))];
+  const [names, stageLabels] = await Promise.all([
+    Promise.all(ownerIds.map((id) => resolveOwnerName(hs, id))),
+    loadStageLabels(hs, { stageIds: candidates.map((d) => d.properties?.dealstage) })
+  ]);
+  const ownerNames = Object.fromEntries(ownerIds.map((id, i) => [id, names[i]]));
+
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `I found ${candidates.length} HubSpot deals matching "${dealQuery}". Which one is this channel about?`
+      }
+    },
+    ...candidates.map((deal) => ({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${deal.properties?.dealname || `Deal ${deal.id}`}*\n${formatCandidateLine(deal, ownerNames, stageLabels)}`
+      },
+      accessory: {
+        type: "button",
+        text: { type: "plain_text", text: "Use this deal" },
+        action_id: PICK_DEAL_ACTION_ID,
+        value: `${pendingId}:${deal.id}`
+      }
+    })),
+    {
+      type: "context",
+      elements: [
+        { type: "mrkdwn", text: "Tip: `/deco link <deal ID or HubSpot URL>` pins a deal to this channel so you won't be asked again." }
+      ]
+    }
+  ];
+}
@@ -0,0 +1,198 @@
+import fs from "fs";
+import crypto from "crypto";
+import { redis, portalKey, getTenantPortalId } from "./utils.js";
+
+// ===== Custom HubSpot Property Config =====
+// Which portal-specific deal, company and contact properties to fetch and how they
+// reach the prompts. The default lives in config/deal-properties.json; a portal can
+// override it in Redis (scripts/deal-properties.js). Per object type:
+//   properties  HubSpot internal property names to fetch, beyond the built-in ones
+//   fields      derived values: { key, label, from: [property, …], join = " ",
+//               normalize = "text" | "yes_no" | "date" | "number" | "owner",
+//               section = "deal_info" | "contacts" | "none" }
+// Field values are set on the deal context under `key`. "deal_info" fields are
+// listed in the deal data block of every prompt, "contacts" fields next to each
+// contact, and "none" fields are only available by key — e.g. the company field
+// keyed "csm" (an owner ID) fills the CSM line. Company fields read the first company.
+//
+// The first use per portal checks every configured property against HubSpot's
+// properties API, so a renamed or deleted property fails loudly instead of quietly
+// coming back empty.
+
+const CONFIG_FILE = new URL("../../config/deal-properties.json", import.meta.url);
+const CONFIG_CACHE_TTL_MS = 5 * 60 * 1000;
+const OBJECT_TYPES = ["deals", "companies", "contacts"];
+const SECTIONS = {
+  deals: ["deal_info", "none"],
+  companies: ["deal_info", "none"],
+  contacts: ["contacts", "none"]
+};
+
+const NORMALIZERS = {
+  text: (v) => v,
+  // Free-text yes/no properties ("Yes - 30 days", "true", "no")
+  yes_no: (v) => {
+    const value = v.trim().toLowerCase();
+    return value === "true" || value.startsWith("yes") ? "Yes" : "No";
+  },
+  date: (v) => {
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? v : d.toISOString().split("T")[0];
+  },
+  number: (v) => (Number.isFinite(Number(v)) ? Number(v).toLocaleString() : v),
+  // Resolved to a name from the bundle's ownerNames
+  owner: (v) => v
+};
+
+const _cachedConfigs = new Map(); // portal ID → { config, source, expiresAt }
+const _validatedConfigs = new Map(); // portal ID → config version known to match HubSpot
+
+/** Structural problems with a config object (empty when valid). */
+export function validatePropertyConfig(config) {
+  const errors = [];
+  if (!config || typeof config !== "object") return ["config must be an object"];
+  const keys = new Set();
+  for (const type of OBJECT_TYPES) {
+    const entry = config[type] || {};
+    const properties = entry.properties || [];
+    if (!Array.isArray(properties) || properties.some((p) => typeof p !== "string" || !p)) {
+      errors.push(`${type}.properties must be a list of property names`);
+      continue;
+    }
+    (entry.fields || []).forEach((field, i) => {
+      const at = `${type}.fields[${i}]`;
+      if (!field.key) errors.push(`${at}: key is required`);
+      else if (keys.has(field.key)) errors.push(`${at}: duplicate key "${field.key}"`);
+      keys.add(field.key);
+      if (!Array.isArray(field.from) || !field.from.length) errors.push(`${at}: from must list at least one property`);
+      for (const name of field.from || []) {
+        if (!properties.includes(name)) errors.push(`${at}: "${name}" is not in ${type}.properties`);
+      }
+      if (field.normalize && !NORMALIZERS[field.normalize]) errors.push(`${at}: unknown normalize "${field.normalize}"`);
+      if (field.section && !SECTIONS[type].includes(field.section)) {
+        errors.push(`${at}: section must be one of ${SECTIONS[type].join(", ")}`);
+      }
+    });
+  }
+  for (const type of Object.keys(config)) {
+    if (!OBJECT_TYPES.includes(type)) errors.push(`unknown object type "${type}"`);
+  }
+  return errors;
+}
+
+/** Short hash identifying a config, so cached data fetched under another one is ignored. */
+export function configVersion(config) {
+  return crypto.createHash("sha1").update(JSON.stringify(config)).digest("hex").slice(0, 8);
+}
+
+function overrideKey(portalId) {
+  return portalKey(portalId, "deal_properties_config");
+}
+
+/** The portal's property config: its Redis override, else the repo default. */
+export async function getPropertyConfig(portalId = null) {
+  portalId = portalId || (await getTenantPortalId());
+  const cached = _cachedConfigs.get(portalId || "");
+  if (cached && Date.now() < cached.expiresAt) return cached.config;
+
+  const raw = await redis.get(overrideKey(portalId));
+  const source = raw ? `Redis override for portal ${portalId}` : "config/deal-properties.json";
+  let config;
+  try {
+    config = JSON.parse(raw || fs.readFileSync(CONFIG_FILE, "utf8"));
+  } catch (err) {
+    throw new Error(`Deal property config (${source}) is not valid JSON: ${err.message}`);
+  }
+  const errors = validatePropertyConfig(config);
+  if (errors.length) throw new Error(`Deal property config (${source}) is invalid: ${errors.join("; ")}`);
+
+  _cachedConfigs.set(portalId || "", { config, expiresAt: Date.now() + CONFIG_CACHE_TTL_MS });
+  return config;
+}
+
+export async function setPropertyConfigOverride(portalId, config) {
+  const errors = validatePropertyConfig(config);
+  if (errors.length) throw new Error(`Deal property config is invalid: ${errors.join("; ")}`);
+  await redis.set(overrideKey(portalId), JSON.stringify(config));
+  _cachedConfigs.delete(portalId || "");
+}
+
+export async function clearPropertyConfigOverride(portalId) {
+  await redis.del(overrideKey(portalId));
+  _cachedConfigs.delete(portalId || "");
+}
+
+/** Configured properties missing from the portal's HubSpot schema, as
+ *  ["deals.product_line", …]. */
+export async function findMissingProperties(hs, config) {
+  const missing = [];
+  for (const type of OBJECT_TYPES) {
+    const wanted = config[type]?.properties || [];
+    if (!wanted.length) continue;
+    const resp = await hs.get(`/crm/v3/properties/${type}`);
+    const existing = new Set((resp.data?.results || []).map((p) => p.name));
+    for (const name of wanted) {
+      if (!existing.has(name)) missing.push(`${type}.${name}`);
+    }
+  }
+  return missing;
+}
+
+/** The portal's config, checked against HubSpot once per instance and config
+ *  version. Throws when a configured property doesn't exist in the portal. */
+export async function loadPropertyConfig(hs, portalId = null) {
+  portalId = portalId || (await getTenantPortalId());
+  const config = await getPropertyConfig(portalId);
+  const version = configVersion(config);
+  if (_validatedConfigs.get(portalId || "") === version) return config;
+
+  let missing;
+  try {
+    missing = await findMissingProperties(hs, config);
+  } catch (err) {
+    // Schema lookups failing (scopes, outage) shouldn't block answers — check next time
+    console.error("[loadPropertyConfig] could not check properties against HubSpot:", err.message);
+    return config;
+  }
+  if (missing.length) {
+    throw new Error(
+      `HubSpot properties ${missing.join(", ")} from the deal property config don't exist in portal ${portalId} ` +
+        "(renamed or deleted?) — update config/deal-properties.json or the portal's override"
+    );
+  }
+  _validatedConfigs.set(portalId || "", version);
+  return config;
+}
+
+/** Property names to fetch for an object type under a config. */
+export function configuredProperties(config, type) {
+  return config[type]?.properties || [];
+}
+
+/** Owner IDs referenced by "owner" fields of these records. */
+export function configuredOwnerIds(config, type, records) {
+  const fields = (config[type]?.fields || []).filter((f) => f.normalize === "owner");
+  return records.flatMap((r) => fields.map((f) => r?.properties?.[f.from[0]]).filter(Boolean));
+}
+
+/** Evaluate an object type's fields on one record:
+ *  [{ key, label, value, section }] with null values for empty fields. */
+export function evaluateFields(config, type, record, ownerNames = {}) {
+  return (config[type]?.fields || []).map((field) => {
+    const parts = field.from.map((name) => record?.properties?.[name]).filter((v) => v != null && v !== "");
+    let value = parts.length ? parts.join(field.join ?? " ") : null;
+    if (value != null) {
+      value = NORMALIZERS[field.normalize || "text"](String(value));
+      if (field.normalize === "owner") value = ownerNames[value] || `${value} (name not found in HubSpot)`;
+    }
+    return { key: field.key, label: field.label || field.key, value, section: field.section || "none" };
+  });
+}
+
+/** Prompt lines ("- Label: value") for the evaluated fields in a section. */
+export function fieldLines(fields, section = "deal_info") {
+  return fields
+    .filter((f) => f.section === section && f.value != null)
+    .map((f) => `- ${f.label}: ${f.value}`)
+    .join("\n");
+}
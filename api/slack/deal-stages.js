@@ -0,0 +1,104 @@
+import { redis, portalKey, getTenantPortalId } from "./utils.js";
+
+// ===== Pipeline and Stage Labels =====
+// Deals carry internal IDs for their pipeline and stage ("closedwon", "1234567"),
+// which mean nothing to the model or to readers. The portal's deal pipelines are
+// loaded from /crm/v3/pipelines/deals and cached in Redis per portal as
+//   { fetchedAt, pipelines: { <pipelineId>: { label, stages: { <stageId>:
+//     { label, probability, isClosed, isWon } } } } }
+// A stage ID missing from the cached map (a stage added since) triggers a refetch,
+// at most once a minute. When the pipelines can't be loaded, raw IDs are shown.
+//
+// DEAL_PIPELINES_TTL_SECONDS  how long the label map is cached (default 3600)
+
+const DEFAULT_TTL_SECONDS = 3600;
+const MIN_REFRESH_INTERVAL_MS = 60 * 1000;
+
+function cacheTtlSeconds() {
+  const value = parseInt(process.env.DEAL_PIPELINES_TTL_SECONDS, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TTL_SECONDS;
+}
+
+function labelsKey(portalId) {
+  return portalKey(portalId, "deal_pipelines");
+}
+
+async function fetchPipelines(hs) {
+  const resp = await hs.get("/crm/v3/pipelines/deals");
+  const pipelines = {};
+  for (const pipeline of resp.data?.results || []) {
+    const stages = {};
+    for (const stage of pipeline.stages || []) {
+      const meta = stage.metadata || {};
+      const probability = meta.probability != null && meta.probability !== "" ? Number(meta.probability) : null;
+      const isClosed = String(meta.isClosed) === "true";
+      stages[stage.id] = {
+        label: stage.label,
+        probability: Number.isFinite(probability) ? probability : null,
+        isClosed,
+        // HubSpot marks won stages as closed with 100% probability
+        isWon: isClosed && probability === 1
+      };
+    }
+    pipelines[pipeline.id] = { label: pipeline.label, stages };
+  }
+  return { fetchedAt: Date.now(), pipelines };
+}
+
+function hasStage(labels, stageId) {
+  return Object.values(labels.pipelines).some((p) => p.stages[stageId]);
+}
+
+/** The portal's pipeline/stage label map, from cache when it has every stage in
+ *  `stageIds`. Never throws — returns an empty map when HubSpot can't be read. */
+export async function loadStageLabels(hs, { portalId = null, stageIds = [] } = {}) {
+  const portal = portalId || (await getTenantPortalId());
+  const key = labelsKey(portal);
+
+  let cached = null;
+  try {
+    cached = JSON.parse((await redis.get(key)) || "null");
+  } catch (err) {
+    console.error("[loadStageLabels] cache read error:", err.message);
+  }
+  const missing = cached ? stageIds.filter((id) => id && !hasStage(cached, id)) : [];
+  if (cached && (!missing.length || Date.now() - cached.fetchedAt < MIN_REFRESH_INTERVAL_MS)) return cached;
+
+  try {
+    const labels = await fetchPipelines(hs);
+    await redis.set(key, JSON.stringify(labels), "EX", cacheTtlSeconds());
+    if (missing.length) console.log("[loadStageLabels] refreshed pipelines for unknown stages:", missing.join(", "));
+    return labels;
+  } catch (err) {
+    console.error("[loadStageLabels] error:", err.message, err.response?.status);
+    return cached || { fetchedAt: 0, pipelines: {} };
+  }
+}
+
+/** Pipeline and stage for a deal's properties:
+ *  { pipelineName, stageLabel, probability, isClosed, isWon, stageLine }.
+ *  Falls back to the raw IDs when they aren't in `labels`. */
+export function describeDealStage(labels, props = {}) {
+  const pipelines = labels?.pipelines || {};
+  const pipeline = pipelines[props.pipeline];
+  // Stage IDs are unique per portal, so a deal without a known pipeline still resolves
+  const stage =
+    pipeline?.stages[props.dealstage] ||
+    Object.values(pipelines).map((p) => p.stages[props.dealstage]).find(Boolean);
+
+  const pipelineName = pipeline?.label || props.pipeline || null;
+  if (!stage) {
+    return { pipelineName, stageLabel: props.dealstage || null, probability: null, isClosed: null, isWon: null, stageLine: props.dealstage || null };
+  }
+
+  const status = stage.isWon ? "closed won" : stage.isClosed ? "closed lost" : "open";
+  const probability = stage.probability != null ? `, ${Math.round(stage.probability * 100)}% probability` : "";
+  return {
+    pipelineName,
+    stageLabel: stage.label,
+    probability: stage.probability,
+    isClosed: stage.isClosed,
+    isWon: stage.isWon,
+    stageLine: `${stage.label} (${status}${probability})`
+  };
+}
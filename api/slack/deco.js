@@ -0,0 +1,159 @@
+import { waitUntil } from "@vercel/functions";
+import {
+  verifySlackRequest,
+  readRawBody,
+  slackPost,
+  postToResponseUrl,
+  getHubSpotAccessToken,
+  hubspotClient,
+  getTenantPortalId,
+  buildHubSpotDealUrl,
+  withTenant,
+  getDealById,
+  parseDealReference,
+  getChannelDealBinding,
+  setChannelDealBinding,
+  clearChannelDealBinding,
+  currentTeamId,
+  getTeamPortalId,
+  isWorkspaceAdmin
+} from "./utils.js";
+import { issueHubSpotConnectLink } from "./oauth-state.js";
+
+const USAGE =
+  "Usage:\n" +
+  "• `/deco link <deal ID or HubSpot deal URL>` — pin this channel to a HubSpot deal\n" +
+  "• `/deco unlink` — remove the pinned deal (falls back to matching the channel name)\n" +
+  "• `/deco which` — show which deal this channel uses\n" +
+  "• `/deco connect-hubspot` — get a link to connect this workspace to HubSpot (switching portals needs a workspace admin)";
+
+async function hubspotDealUrl(dealId) {
+  const portalId = await getTenantPortalId();
+  return portalId ? buildHubSpotDealUrl(portalId, dealId) : null;
+}
+
+async function handleLink({ channel_id, user_id, response_url, arg }) {
+  const dealId = parseDealReference(arg);
+  if (!dealId) {
+    await postToResponseUrl(response_url, `Couldn't read a deal ID from "${arg || ""}".\n\n${USAGE}`, true);
+    return;
+  }
+
+  const accessToken = await getHubSpotAccessToken();
+  const hs = await hubspotClient(accessToken);
+  const deal = await getDealById(hs, dealId);
+  if (!deal) {
+    await postToResponseUrl(response_url, `No HubSpot deal found with ID ${dealId}.`, true);
+    return;
+  }
+
+  const dealName = deal.properties?.dealname || `Deal ${dealId}`;
+  await setChannelDealBinding(channel_id, { dealId, dealName, linkedBy: user_id });
+
+  const url = await hubspotDealUrl(dealId);
+  await slackPost(
+    channel_id,
+    `<@${user_id}> linked this channel to *${dealName}*. /summary, /plan and @DeCo will use this deal.${url ? `\n${url}` : ""}`
+  );
+  await postToResponseUrl(response_url, `Linked this channel to *${dealName}* (${dealId}).`, true);
+}
+
+async function handleUnlink({ channel_id, user_id, response_url }) {
+  const existing = await getChannelDealBinding(channel_id);
+  const removed = await clearChannelDealBinding(channel_id);
+  if (!removed) {
+    await postToResponseUrl(response_url, "This channel isn't linked to a deal — nothing to unlink.", true);
+    return;
+  }
+  const name = existing?.dealName || existing?.dealId || "its deal";
+  await slackPost(
+    channel_id,
+    `<@${user_id}> unlinked this channel from *${name}*. DeCo will match a deal from the channel name again.`
+  );
+  await postToResponseUrl(response_url, `Unlinked *${name}*.`, true);
+}
+
+async function handleWhich({ channel_id, channel_name, response_url }) {
+  const binding = await getChannelDealBinding(channel_id);
+  if (!binding) {
+    await postToResponseUrl(
+      response_url,
+      `This channel isn't linked to a deal. DeCo matches a deal from the channel name (#${channel_name}). Use \`/deco link\` to pin one.`,
+      true
+    );
+    return;
+  }
+  const url = await hubspotDealUrl(binding.dealId);
+  const by = binding.linkedBy ? ` by <@${binding.linkedBy}>` : "";
+  const when = binding.linkedAt ? ` on ${new Date(binding.linkedAt).toISOString().split("T")[0]}` : "";
+  await postToResponseUrl(
+    response_url,
+    `This channel is linked to *${binding.dealName || binding.dealId}* (${binding.dealId})${by}${when}.${url ? `\n${url}` : ""}`,
+    true
+  );
+}
+
+async function handleConnectHubSpot({ user_id, response_url }) {
+  const teamId = currentTeamId();
+  const existing = await getTeamPortalId(teamId);
+  const admin = existing ? await isWorkspaceAdmin(user_id) : false;
+  if (existing && !admin) {
+    await postToResponseUrl(
+      response_url,
+      `This workspace is connected to HubSpot portal ${existing}. Only a workspace admin can switch it to another portal.`,
+      true
+    );
+    return;
+  }
+
+  const link = await issueHubSpotConnectLink({ teamId, userId: user_id, replace: !!existing });
+  const note = existing
+    ? `This workspace is connected to HubSpot portal ${existing}; authorizing another portal will replace it.`
+    : "Authorize the HubSpot portal this workspace should use.";
+  await postToResponseUrl(response_url, `${note}\n<${link}|Connect HubSpot> (works once, for 30 minutes)`, true);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).send("Method Not Allowed");
+
+  const rawBody = await readRawBody(req);
+
+  if (!process.env.SLACK_SIGNING_SECRET) {
+    return res.status(500).send("Missing SLACK_SIGNING_SECRET");
+  }
+
+  if (!verifySlackRequest(req, rawBody)) {
+    return res.status(401).send("Invalid signature");
+  }
+
+  const payload = Object.fromEntries(new URLSearchParams(rawBody));
+  const [subcommand = "", ...rest] = (payload.text || "").trim().split(/\s+/);
+  const ctx = {
+    channel_id: payload.channel_id,
+    channel_name: payload.channel_name,
+    user_id: payload.user_id,
+    response_url: payload.response_url,
+    arg: rest.join(" ")
+  };
+
+  const handlers = {
+    link: handleLink,
+    unlink: handleUnlink,
+    which: handleWhich,
+    "connect-hubspot": handleConnectHubSpot
+  };
+  const run = handlers[subcommand.toLowerCase()];
+  if (!run) {
+    return res.status(200).json({ response_type: "ephemeral", text: USAGE });
+  }
+
+  // Respond within 3 seconds; Redis/HubSpot work continues in the background
+  res.status(200).json({ response_type: "ephemeral", text: "Working on it..." });
+
+  waitUntil(
+    withTenant(payload.team_id, () => run(ctx)).catch(async (err) => {
+      console.error(`/deco ${subcommand} error:`, err?.message || err);
+      await postToResponseUrl(ctx.response_url, `/deco ${subcommand} failed: ${err?.message || "unknown_error"}`, true);
+    })
+  );
+}
@@ -0,0 +1,382 @@
+import { redis, portalKey } from "./utils.js";
+
+// ===== Deployment Plan Schema =====
+// /plan asks the model for a JSON object matching DEPLOYMENT_PLAN_SCHEMA (via
+// Responses API structured outputs), validates it, renders it to Slack itself and
+// persists it per deal so downstream tooling can read the latest plan.
+
+const CONFIDENCE = ["high", "medium", "low"];
+const SOURCE_TYPES = ["hubspot_property", "email", "call", "meeting", "note", "slack", "rocketlane_form"];
+const SCHEDULE_STATUS = ["Confirmed", "Proposed", "Not scheduled"];
+
+const source = {
+  type: "object",
+  additionalProperties: false,
+  required: ["type", "date", "reference"],
+  properties: {
+    type: { type: "string", enum: SOURCE_TYPES },
+    date: { type: ["string", "null"], description: "YYYY-MM-DD of the email/message/etc., if known" },
+    reference: { type: "string", description: "Short pointer: email subject, Slack author + gist, or property name" }
+  }
+};
+
+const field = (description) => ({
+  type: "object",
+  additionalProperties: false,
+  required: ["value", "confidence", "sources"],
+  description,
+  properties: {
+    value: { type: ["string", "null"], description: "null when the data does not mention it" },
+    confidence: { type: "string", enum: CONFIDENCE },
+    sources: { type: "array", items: source }
+  }
+});
+
+const item = {
+  type: "object",
+  additionalProperties: false,
+  required: ["text", "sources"],
+  properties: {
+    text: { type: "string" },
+    sources: { type: "array", items: source }
+  }
+};
+
+const scheduleStatus = { type: ["string", "null"], enum: [...SCHEDULE_STATUS, null] };
+
+export const DEPLOYMENT_PLAN_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["where_things_stand", "sold", "rigging", "install", "training", "team", "open_items", "notable_context"],
+  properties: {
+    where_things_stand: { type: "string", description: "2-3 sentence briefing: confirmed, proposed, still open" },
+    sold: {
+      type: "object",
+      additionalProperties: false,
+      required: ["product", "deal_type", "trial"],
+      properties: {
+        product: field("Product field value, exactly as given"),
+        deal_type: field("New business / renewal / etc."),
+        trial: field("Yes / No")
+      }
+    },
+    rigging: {
+      type: "object",
+      additionalProperties: false,
+      required: ["date", "performed_by", "notes"],
+      properties: {
+        date: field("Rigging/uncrating date"),
+        performed_by: field("Who rigs — Lumafield-arranged (costs passed to customer), customer team, or third party"),
+        notes: field("Unresolved crate storage/return decision only")
+      }
+    },
+    install: {
+      type: "object",
+      additionalProperties: false,
+      required: ["status", "dates", "fse", "location", "compute_type", "calibration"],
+      properties: {
+        status: scheduleStatus,
+        dates: field("Install date(s)"),
+        fse: field("Field service engineer name"),
+        location: field("Facility name + full address"),
+        compute_type: field("Cloud / GovCloud / On Prem / Air Gapped"),
+        calibration: field("Fast Cal/Cal2 or Cal 3")
+      }
+    },
+    training: {
+      type: "object",
+      additionalProperties: false,
+      required: ["status", "dates", "enablement_engineer", "others_attending"],
+      properties: {
+        status: scheduleStatus,
+        dates: field("Training date(s)"),
+        enablement_engineer: field("Enablement engineer name"),
+        others_attending: field("Others attending onsite")
+      }
+    },
+    team: {
+      type: "object",
+      additionalProperties: false,
+      required: ["csm", "scoping_call"],
+      properties: {
+        csm: field("Customer Success Manager name"),
+        scoping_call: field("Scheduled for <date> / Not yet scheduled")
+      }
+    },
+    open_items: { type: "array", items: item },
+    notable_context: { type: "array", items: item }
+  }
+};
+
+// ===== Validation =====
+// Structured outputs should already guarantee the shape; this catches truncated
+// or malformed responses (and non-strict providers) before we render or persist.
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function validateNode(schema, value, path, errors) {
+  const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actual = typeOf(value);
+  if (!allowed.includes(actual)) {
+    errors.push(`${path}: expected ${allowed.join("|")}, got ${actual}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.map(String).join(", ")}`);
+  }
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: missing`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key];
+      if (!childSchema) {
+        if (schema.additionalProperties === false) errors.push(`${path}.${key}: unexpected property`);
+        continue;
+      }
+      validateNode(childSchema, child, `${path}.${key}`, errors);
+    }
+  }
+  if (actual === "array" && schema.items) {
+    value.forEach((v, i) => validateNode(schema.items, v, `${path}[${i}]`, errors));
+  }
+}
+
+export function validateDeploymentPlan(plan) {
+  const errors = [];
+  validateNode(DEPLOYMENT_PLAN_SCHEMA, plan, "plan", errors);
+  return { ok: errors.length === 0, errors };
+}
+
+// ===== Rendering (Slack mrkdwn, fed through blocks.js) =====
+
+function formatSources(sources) {
+  if (!sources?.length) return "";
+  const refs = sources
+    .slice(0, 2)
+    .map((s) => `${s.type.replace(/_/g, " ")}${s.date ? ` ${s.date}` : ""}`)
+    .join("; ");
+  return ` _(${refs})_`;
+}
+
+function fieldLine(label, f) {
+  if (!f?.value) return null;
+  const flag = f.confidence === "low" ? " ⚠️ _unverified_" : "";
+  return `- *${label}:* ${f.value}${flag}${formatSources(f.sources)}`;
+}
+
+function section(title, lines) {
+  const body = lines.filter(Boolean);
+  return body.length ? [`*${title}*`, ...body, ""] : [];
+}
+
+export function renderDeploymentPlan(plan, { dealName, hubspotDealUrl, ownerLine }) {
+  const { sold, rigging, install, training, team } = plan;
+  const lines = [
+    `*Deployment Plan: ${dealName}*`,
+    hubspotDealUrl,
+    "",
+    ...section("Where Things Stand", [plan.where_things_stand]),
+    ...section("What Was Sold", [
+      fieldLine("Product", sold.product),
+      fieldLine("Deal Type", sold.deal_type),
+      fieldLine("Trial", sold.trial)
+    ]),
+    ...section("Rigging & Uncrating", [
+      fieldLine("Date", rigging.date),
+      fieldLine("Performed by", rigging.performed_by),
+      fieldLine("Notes", rigging.notes)
+    ]),
+    ...section("Install Details", [
+      install.dates?.value && install.status ? `- *Status:* ${install.status}` : null,
+      fieldLine("Install Date(s)", install.dates),
+      fieldLine("FSE", install.fse),
+      fieldLine("Location", install.location),
+      fieldLine("Compute Type", install.compute_type),
+      fieldLine("Calibration", install.calibration)
+    ]),
+    ...section("Training", [
+      training.dates?.value && training.status ? `- *Status:* ${training.status}` : null,
+      fieldLine("Training Date(s)", training.dates),
+      fieldLine("Enablement Engineer", training.enablement_engineer),
+      fieldLine("Others Attending Onsite", training.others_attending)
+    ]),
+    ...section("Team", [
+      `- *Sales Owner:* ${ownerLine}`,
+      fieldLine("CSM", team.csm),
+      fieldLine("Scoping Call", team.scoping_call)
+    ]),
+    ...section("Pending & Open Items", plan.open_items.map((i) => `- ${i.text}${formatSources(i.sources)}`)),
+    ...section("Notable Context", plan.notable_context.map((i) => `- ${i.text}${formatSources(i.sources)}`))
+  ];
+  return lines.join("\n").trim();
+}
+
+// ===== Persistence =====
+// hubspot:<portal>:plan:<dealId>          latest plan + metadata (JSON)
+// hubspot:<portal>:plan_history:<dealId>  previous plans, newest first (capped)
+
+const PLAN_HISTORY_LIMIT = 10;
+
+export async function getLatestPlan(portalId, dealId) {
+  const data = await redis.get(portalKey(portalId, `plan:${dealId}`));
+  return data ? JSON.parse(data) : null;
+}
+
+export async function savePlan(portalId, dealId, plan, meta = {}) {
+  const record = { dealId: String(dealId), plan, generatedAt: Date.now(), ...meta };
+  const previous = await redis.get(portalKey(portalId, `plan:${dealId}`));
+  if (previous) {
+    const historyKey = portalKey(portalId, `plan_history:${dealId}`);
+    await redis.lpush(historyKey, previous);
+    await redis.ltrim(historyKey, 0, PLAN_HISTORY_LIMIT - 1);
+  }
+  await redis.set(portalKey(portalId, `plan:${dealId}`), JSON.stringify(record));
+  return record;
+}
+
+// ===== Change Detection =====
+// Field-level diff between two stored plans, so a re-run can say "install date
+// moved, FSE assigned" instead of making people compare two full reports.
+
+const PLAN_FIELDS = [
+  ["sold.product", "Product"],
+  ["sold.deal_type", "Deal Type"],
+  ["sold.trial", "Trial"],
+  ["rigging.date", "Rigging Date"],
+  ["rigging.performed_by", "Rigging Performed by"],
+  ["rigging.notes", "Rigging Notes", { material: false }],
+  ["install.status", "Install Status"],
+  ["install.dates", "Install Date(s)"],
+  ["install.fse", "FSE"],
+  ["install.location", "Install Location"],
+  ["install.compute_type", "Compute Type"],
+  ["install.calibration", "Calibration"],
+  ["training.status", "Training Status"],
+  ["training.dates", "Training Date(s)"],
+  ["training.enablement_engineer", "Enablement Engineer"],
+  ["training.others_attending", "Others Attending Onsite", { material: false }],
+  ["team.csm", "CSM"],
+  ["team.scoping_call", "Scoping Call"]
+];
+
+const LIST_FIELDS = [
+  ["open_items", "open item"],
+  ["notable_context", "context", { material: false }]
+];
+
+function fieldValue(plan, path) {
+  const node = path.split(".").reduce((obj, key) => obj?.[key], plan);
+  // Statuses are bare strings; everything else is a { value, confidence, sources } field
+  return node && typeof node === "object" ? node.value : node ?? null;
+}
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Word-overlap similarity — open items are reworded between runs, so exact
+ *  string matching would report every item as removed and re-added. */
+function similarity(a, b) {
+  const wa = new Set(normalize(a).split(" ").filter(Boolean));
+  const wb = new Set(normalize(b).split(" ").filter(Boolean));
+  if (!wa.size || !wb.size) return 0;
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return shared / (wa.size + wb.size - shared);
+}
+
+const SAME_ITEM_THRESHOLD = 0.6;
+
+function hasSimilar(items, text) {
+  return items.some((other) => similarity(other.text, text) >= SAME_ITEM_THRESHOLD);
+}
+
+/** Compare two plans. Returns [{ path, label, kind, from, to, material }] where kind
+ *  is "added" | "removed" | "changed" for fields and "item_added" | "item_removed"
+ *  for list entries. */
+export function diffDeploymentPlans(previous, next) {
+  const changes = [];
+  if (!previous || !next) return changes;
+
+  for (const [path, label, opts = {}] of PLAN_FIELDS) {
+    const from = fieldValue(previous, path);
+    const to = fieldValue(next, path);
+    if (normalize(from) === normalize(to)) continue;
+    const kind = from == null ? "added" : to == null ? "removed" : "changed";
+    changes.push({ path, label, kind, from, to, material: opts.material !== false });
+  }
+
+  for (const [path, label, opts = {}] of LIST_FIELDS) {
+    const before = previous[path] || [];
+    const after = next[path] || [];
+    for (const item of after) {
+      if (!hasSimilar(before, item.text)) {
+        changes.push({ path, label, kind: "item_added", from: null, to: item.text, material: opts.material !== false });
+      }
+    }
+    for (const item of before) {
+      if (!hasSimilar(after, item.text)) {
+        changes.push({ path, label, kind: "item_removed", from: item.text, to: null, material: opts.material !== false });
+      }
+    }
+  }
+
+  return changes;
+}
+
+export function hasMaterialChanges(changes) {
+  return changes.some((c) => c.material);
+}
+
+function changeLine(c) {
+  switch (c.kind) {
+    case "added":
+      return `- *${c.label}:* ${c.to} _(new)_`;
+    case "removed":
+      return `- *${c.label}:* no longer in the plan _(was ${c.from})_`;
+    case "changed":
+      return `- *${c.label}:* ${c.from} → ${c.to}`;
+    case "item_added":
+      return c.path === "open_items" ? `- New open item: ${c.to}` : `- New ${c.label}: ${c.to}`;
+    case "item_removed":
+      return c.path === "open_items" ? `- Resolved: ~${c.from}~` : `- Dropped ${c.label}: ${c.from}`;
+    default:
+      return null;
+  }
+}
+
+/** Slack mrkdwn for a plan diff, or null when nothing changed. */
+export function renderPlanDiff(changes, { dealName, previousGeneratedAt = null }) {
+  if (!changes.length) return null;
+  const since = previousGeneratedAt ? ` (${new Date(previousGeneratedAt).toISOString().split("T")[0]})` : "";
+  // Material changes first; stable within each group
+  const ordered = [...changes.filter((c) => c.material), ...changes.filter((c) => !c.material)];
+  return [`*What changed in the ${dealName} deployment plan since the last run${since}*`, ...ordered.map(changeLine).filter(Boolean)].join("\n");
+}
+
+/** Diff a new plan against the deal's last stored plan without storing it.
+ *  Returns { previous, changes }; previous is null on the first run. */
+export async function comparePlan(portalId, dealId, plan) {
+  const previous = await getLatestPlan(portalId, dealId).catch((err) => {
+    console.error("[comparePlan] error loading previous plan:", err.message);
+    return null;
+  });
+  return { previous, changes: previous ? diffDeploymentPlans(previous.plan, plan) : [] };
+}
+
+/** Store the plan as the deal's latest. Call it once the plan has been posted, so a
+ *  retried post still diffs against the plan users last saw. */
+export async function recordPlan(portalId, dealId, plan, meta = {}) {
+  await savePlan(portalId, dealId, plan, meta).catch((err) => {
+    console.error("[recordPlan] error saving plan:", err.message);
+  });
+}
@@ -9,6 +9,7 @@ import {
   getChannelHistory,
   getThreadHistory,
   slackPost,
+  slackPostEphemeral,
   getBotUserId,
   extractQuestionFromMention,
   isBotMessage,
@@ -16,35 +17,38 @@ import {
   isRegulatoryFormQuestion,
   findRocketlaneFormMessage,
   getMessagePermalink,
-  channelNameToDealQuery,
-  storeThreadContext,
-  getThreadContext,
   getHubSpotAccessToken,
   hubspotClient,
-  findBestDeal,
-  getDealAssociations,
-  batchRead,
-  resolveOwnerName,
-  daysBetweenISO,
-  getCachedSlackBotToken
+  withTenant,
+  getCachedSlackBotToken,
+  slackRetryInfo,
+  claimSlackDelivery,
+  confirmSlackDelivery,
+  releaseSlackDelivery
 } from "./utils.js";
 import {
   determineRequiredData,
-  fetchDealEmails,
-  fetchDealCalls,
-  fetchDealMeetings,
-  fetchDealNotes,
-  fetchDealLineItems,
-  formatTimelineForPrompt,
-  formatLineItemsForPrompt,
+  buildTimelineItems,
   searchDealsAcrossPortal,
   formatCrossDealResults
 } from "./hubspot-data.js";
-import { buildQAPrompt, callOpenAIForQA, classifyQuestion } from "./openai-qa.js";
-
-// Vercel Hobby plan has a 10s function timeout. We post a notification if the
-// handler is still running after this threshold so the user knows it's working.
-const VERCEL_TIMEOUT_WARNING_MS = 8000;
+import { buildQAPrompt, buildChannelItems, callOpenAIForQA, classifyQuestion, isAddressedToBot } from "./openai-qa.js";
+import { retrieveForQuestion } from "./retrieval.js";
+import { parkPendingRequest, buildDealPickerBlocks } from "./deal-picker.js";
+import { buildSourceMap, linkCitations } from "./citations.js";
+import { defineJob, enqueueJob, MODEL_STAGE_MIN_MS, HUBSPOT_STAGE_MIN_MS } from "./jobs.js";
+import { loadDealContext, dealContextSnapshot } from "./deal-context.js";
+import { loadStageLabels } from "./deal-stages.js";
+import {
+  getConversation,
+  mergeThreadReplies,
+  recordTurns,
+  compactConversation,
+  isTrackedThread,
+  setThreadOptOut,
+  claimReply,
+  releaseReply
+} from "./conversation-store.js";
 
 /** Post an error message to Slack using the cached token (no Redis round trip).
  *  Fails silently if no cached token is available. */
@@ -66,288 +70,361 @@ async function safeErrorPost(channel_id, text, thread_ts = null) {
   }
 }
 
-/** Race the handler against a timeout. If the handler takes too long, post a
- *  warning to Slack so the user knows the function is working but hit the
- *  Vercel Hobby plan limit. The handler continues to run — `waitUntil` may
- *  keep it alive — but the user gets feedback either way. */
-async function withTimeoutNotification(handlerPromise, channel_id, thread_ts) {
-  let finished = false;
-
-  const timeoutPromise = new Promise((resolve) => {
-    setTimeout(async () => {
-      if (!finished) {
-        console.warn("[timeout] handler exceeded %sms, posting warning", VERCEL_TIMEOUT_WARNING_MS);
-        await safeErrorPost(
-          channel_id,
-          "Still working on your request, but it's taking longer than expected. " +
-          "If you don't see a response shortly, the Vercel function may have timed out (10s limit on Hobby plan). " +
-          "Try again or ask a simpler question.",
-          thread_ts
-        );
-      }
-      resolve();
-    }, VERCEL_TIMEOUT_WARNING_MS);
-  });
+// ===== Mention Job =====
+// Answering an @mention (or a thread follow-up) runs as a background job (jobs.js):
+// resolve the deal and load HubSpot data, gather Slack context and build the prompt,
+// call the model, post the answer. Each stage's result is checkpointed.
 
-  try {
-    const result = await Promise.race([
-      handlerPromise.then((r) => { finished = true; return r; }),
-      timeoutPromise
-    ]);
-    return result;
-  } catch (err) {
-    finished = true;
-    throw err;
-  }
-}
-
-async function handleAppMention(event) {
+/** Stage 1: the question, the deal and its HubSpot data (plus cross-deal matches).
+ *  `followUp` marks a plain thread reply (no @mention) that handleThreadReply already
+ *  decided is meant for the bot. */
+async function loadMentionDeal({ event, pickedDealId = null, pickedBy = null, followUp = false }, results, job) {
   const channel_id = event.channel;
   const user_id = event.user;
   const text = event.text || "";
-  const ts = event.ts;
   const thread_ts = event.thread_ts || null;
-  console.log("[handleAppMention] channel=%s thread_ts=%s text=%s", channel_id, thread_ts || "(none)", text?.slice(0, 80));
+  console.log("[loadMentionDeal] channel=%s thread_ts=%s text=%s", channel_id, thread_ts || "(none)", text?.slice(0, 80));
+
+  // Independent setup calls (parallel)
+  const [botUserId, channelInfo, accessToken, conversation] = await Promise.all([
+    getBotUserId(),
+    getSlackChannelInfo(channel_id),
+    getHubSpotAccessToken(),
+    thread_ts
+      ? getConversation(channel_id, thread_ts).catch((err) => {
+          console.error("[loadMentionDeal] error loading thread memory:", err.message);
+          return null;
+        })
+      : null
+  ]);
+
+  // Extract question from mention
+  const question = extractQuestionFromMention(text, botUserId);
+  if (!question) {
+    if (!followUp) await slackPost(channel_id, "I'm here! Ask me a question about this deal.", thread_ts);
+    return { done: true };
+  }
 
-  try {
-    // ── Phase 1: Independent setup calls (parallel) ──
-    console.log("[handleAppMention] phase 1: bot ID + channel info + HubSpot token...");
-    const [botUserId, channelInfo, accessToken] = await Promise.all([
-      getBotUserId(),
-      getSlackChannelInfo(channel_id),
-      getHubSpotAccessToken()
-    ]);
-
-    // Extract question from mention
-    const question = extractQuestionFromMention(text, botUserId);
-    if (!question) {
-      await slackPost(channel_id, "I'm here! Ask me a question about this deal.", thread_ts);
-      return;
-    }
+  // Ignore referential mentions (talking ABOUT DeCo, not TO DeCo)
+  const REFERENTIAL_PATTERNS = [
+    /\b(ask|tell|use|try|ping|message)\s+<@/i,
+    /\bcan\s+<@/i,
+    /\b<@[^>]+>\s+(can|will|is|does|should)\b/i,
+    /\byou\s+can\s+(also\s+)?ask\b/i,
+    /\btalk\s+to\s+<@/i,
+  ];
+  if (!followUp && REFERENTIAL_PATTERNS.some((p) => p.test(text))) {
+    console.log("[loadMentionDeal] ignoring referential mention: %s", text.slice(0, 80));
+    return { done: true };
+  }
 
-    // Ignore referential mentions (talking ABOUT DeCo, not TO DeCo)
-    const REFERENTIAL_PATTERNS = [
-      /\b(ask|tell|use|try|ping|message)\s+<@/i,
-      /\bcan\s+<@/i,
-      /\b<@[^>]+>\s+(can|will|is|does|should)\b/i,
-      /\byou\s+can\s+(also\s+)?ask\b/i,
-      /\btalk\s+to\s+<@/i,
-    ];
-    if (REFERENTIAL_PATTERNS.some((p) => p.test(text))) {
-      console.log("[handleAppMention] ignoring referential mention: %s", text.slice(0, 80));
-      return;
-    }
+  const channelName = channelInfo?.name || await getSlackChannelName(channel_id);
+  const hs = await hubspotClient(accessToken, null, { deadline: job.deadline });
+
+  // Deal context + classify question (parallel)
+  const [ctx, classification] = await Promise.all([
+    loadDealContext(channel_id, { hs, channelName, pickedDealId, pickedBy, threadDealId: conversation?.dealId }),
+    classifyQuestion(question)
+  ]);
+  const { deal, dealQuery } = ctx;
+  console.log("[loadMentionDeal] classification:", JSON.stringify(classification));
+  console.log("[loadMentionDeal] deal source=%s id=%s", ctx.dealSource || "(none)", deal?.id || "(none)");
+
+  if (!deal && ctx.candidates) {
+    // Several deals match — park the mention and ask the asker to pick one
+    const pendingId = await parkPendingRequest({ kind: "mention", event });
+    const blocks = await buildDealPickerBlocks(hs, pendingId, ctx.candidates, dealQuery);
+    await slackPostEphemeral(
+      channel_id,
+      user_id,
+      `Several HubSpot deals match "${dealQuery}" — pick one to continue.`,
+      { blocks, thread_ts }
+    );
+    return { done: true };
+  }
 
-    const isPublic = isPublicChannel(channelInfo);
-    const channelName = channelInfo?.name || await getSlackChannelName(channel_id);
-    const dealQuery = channelNameToDealQuery(channelName);
-    const hs = hubspotClient(accessToken);
-
-    // ── Phase 2: Find deal + fetch channel history + classify question (parallel) ──
-    console.log("[handleAppMention] phase 2: find deal + channel history + classify...");
-    const phase2 = [
-      findBestDeal(hs, dealQuery),
-      isPublic
-        ? getChannelHistory(channel_id, 100).catch((err) => {
-            console.error("Error fetching channel history:", err.message);
-            return null;
-          })
-        : Promise.resolve(null),
-      classifyQuestion(question)
-    ];
-    const [deal, rawChannelHistory, classification] = await Promise.all(phase2);
-    console.log("[handleAppMention] classification:", JSON.stringify(classification));
-
-    if (!deal) {
-      await slackPost(channel_id, `No HubSpot deal found matching "${dealQuery}".`);
-      return;
-    }
+  if (!deal) {
+    await slackPost(
+      channel_id,
+      `No HubSpot deal found matching "${dealQuery}". Use \`/deco link <deal ID or HubSpot URL>\` to link this channel to a deal.`,
+      thread_ts
+    );
+    return { done: true };
+  }
 
-    // ── Regulatory form shortcut (runs before filtering) ──
-    if (isRegulatoryFormQuestion(question) && rawChannelHistory) {
-      const formMessage = findRocketlaneFormMessage(rawChannelHistory);
-      if (formMessage) {
-        const permalink = await getMessagePermalink(channel_id, formMessage.ts);
-        let response = "";
-        if (formMessage.fileUrl) {
-          response = `Here's the EHS & Regulatory Acknowledgement form:\n${formMessage.fileUrl}`;
-        }
-        if (permalink) {
-          response += (response ? "\n\n" : "") + `Original Rocketlane message: ${permalink}`;
-        }
-        if (!formMessage.fileUrl && !permalink) {
-          response = "I found a Rocketlane message about the EHS form in this channel, but couldn't extract the file link. Try scrolling back to find it.";
-        }
-        await slackPost(channel_id, response, thread_ts);
-        return;
+  // Cross-deal search if classifier detected a cross-deal question
+  let crossDealResults = null;
+  if (classification.scope === "cross-deal" && classification.keywords?.length) {
+    console.log("[loadMentionDeal] cross-deal search with keywords:", classification.keywords);
+    const crossDeals = await searchDealsAcrossPortal(hs, classification.keywords, ctx.dealId, 20);
+    const stageLabels = await loadStageLabels(hs, { portalId: ctx.portalId, stageIds: crossDeals.map((d) => d.properties?.dealstage) });
+    crossDealResults = formatCrossDealResults(crossDeals, stageLabels);
+    console.log("[loadMentionDeal] found %d cross-deal results", crossDeals.length);
+  }
+
+  return {
+    question,
+    botUserId,
+    isPublic: isPublicChannel(channelInfo),
+    conversation,
+    crossDealResults,
+    ctx: dealContextSnapshot(ctx)
+  };
+}
+
+/** Stage 2: channel and thread history, retrieval, and the prompt. */
+async function buildMentionPrompt({ event }, { hubspot }) {
+  const channel_id = event.channel;
+  const thread_ts = event.thread_ts || null;
+  const { question, botUserId, isPublic, conversation, crossDealResults, ctx } = hubspot;
+
+  const [rawChannelHistory, threadContext] = await Promise.all([
+    isPublic
+      ? getChannelHistory(channel_id, 100).catch((err) => {
+          console.error("Error fetching channel history:", err.message);
+          return null;
+        })
+      : null,
+    // Stored turns plus anything said in the thread since (replies without a mention)
+    thread_ts
+      ? getThreadHistory(channel_id, thread_ts)
+          .catch((err) => {
+            console.error("[buildMentionPrompt] error fetching thread history:", err.message);
+            return [];
+          })
+          .then((replies) => mergeThreadReplies(conversation, replies, { excludeTs: event.ts }))
+      : null
+  ]);
+
+  // ── Regulatory form shortcut (runs before filtering) ──
+  if (isRegulatoryFormQuestion(question) && rawChannelHistory) {
+    const formMessage = findRocketlaneFormMessage(rawChannelHistory);
+    if (formMessage) {
+      const permalink = await getMessagePermalink(channel_id, formMessage.ts);
+      let response = "";
+      if (formMessage.fileUrl) {
+        response = `Here's the EHS & Regulatory Acknowledgement form:\n${formMessage.fileUrl}`;
       }
-      // Not found — fall through to normal Q&A flow
+      if (permalink) {
+        response += (response ? "\n\n" : "") + `Original Rocketlane message: ${permalink}`;
+      }
+      if (!formMessage.fileUrl && !permalink) {
+        response = "I found a Rocketlane message about the EHS form in this channel, but couldn't extract the file link. Try scrolling back to find it.";
+      }
+      await slackPost(channel_id, response, thread_ts);
+      return { done: true };
     }
+    // Not found — fall through to normal Q&A flow
+  }
 
-    // Filter channel history: keep Rocketlane bot messages, exclude other bots and DeCo's own messages
-    let channelHistory = null;
-    if (rawChannelHistory) {
-      channelHistory = rawChannelHistory.filter((msg) => {
-        if (msg.user === botUserId) return false;
-        if (isBotMessage(msg) && !isRocketlaneMessage(msg)) return false;
-        if (msg.subtype && !isBotMessage(msg)) return false;
-        return !!msg.text;
-      });
-    }
+  // Filter channel history: keep Rocketlane bot messages, exclude other bots and DeCo's own messages
+  let channelHistory = null;
+  if (rawChannelHistory) {
+    channelHistory = rawChannelHistory.filter((msg) => {
+      if (msg.user === botUserId) return false;
+      if (isBotMessage(msg) && !isRocketlaneMessage(msg)) return false;
+      if (msg.subtype && !isBotMessage(msg)) return false;
+      return !!msg.text;
+    });
+  }
 
-    const dealId = deal.id;
-    const dealName = deal.properties?.dealname || dealQuery;
-    const created = deal.properties?.createdate || null;
-    const closed = deal.properties?.closedate || null;
-    const cycleDays = daysBetweenISO(created, closed);
-    const ownerId = deal.properties?.hubspot_owner_id || null;
-
-    const portalId = process.env.HUBSPOT_PORTAL_ID;
-    const hubspotDealUrl = portalId
-      ? `https://app.hubspot.com/contacts/${portalId}/record/0-3/${dealId}`
-      : `(HUBSPOT_PORTAL_ID env var not set — cannot generate deal link)`;
-
-    // Cross-deal search if classifier detected a cross-deal question
-    let crossDealResults = null;
-    if (classification.scope === "cross-deal" && classification.keywords?.length) {
-      console.log("[handleAppMention] cross-deal search with keywords:", classification.keywords);
-      const crossDeals = await searchDealsAcrossPortal(hs, classification.keywords, dealId, 20);
-      crossDealResults = formatCrossDealResults(crossDeals);
-      console.log("[handleAppMention] found %d cross-deal results", crossDeals.length);
-    }
+  const { dealId, dealName, deal } = ctx;
 
-    // Determine what HubSpot data to fetch based on question
-    const requiredData = determineRequiredData(question, deal);
-
-    // ── Phase 3: All data fetches in parallel ──
-    console.log("[handleAppMention] phase 3: fetching deal data in parallel...");
-    const phase3 = {
-      owner: resolveOwnerName(hs, ownerId),
-      associations: getDealAssociations(hs, dealId),
-      lineItems: fetchDealLineItems(hs, dealId),
-      emails: requiredData.emails ? fetchDealEmails(hs, dealId) : Promise.resolve([]),
-      notes: requiredData.notes ? fetchDealNotes(hs, dealId) : Promise.resolve([]),
-      calls: requiredData.calls ? fetchDealCalls(hs, dealId) : Promise.resolve([]),
-      meetings: requiredData.meetings ? fetchDealMeetings(hs, dealId) : Promise.resolve([]),
-      threadContext: thread_ts
-        ? getThreadContext(channel_id, thread_ts).then(async (cached) => {
-            if (cached) return cached;
-            try {
-              const msgs = await getThreadHistory(channel_id, thread_ts);
-              return msgs?.length ? { messages: msgs } : null;
-            } catch (err) {
-              console.error("[handleAppMention] error fetching thread history:", err.message);
-              return null;
-            }
-          })
-        : Promise.resolve(null)
-    };
+  // Determine what HubSpot activity the question needs
+  const requiredData = determineRequiredData(question, deal);
 
-    const results = await Promise.all(
-      Object.values(phase3)
-    );
-    const keys = Object.keys(phase3);
-    const r = {};
-    keys.forEach((k, i) => { r[k] = results[i]; });
-
-    // Resolve contacts + companies from associations (fast batch reads)
-    const { contactIds, companyIds } = r.associations;
-    const [contacts, companies] = await Promise.all([
-      batchRead(hs, "contacts", contactIds, ["firstname", "lastname", "jobtitle", "email"]),
-      batchRead(hs, "companies", companyIds, ["name", "domain", "csm"])
-    ]);
-
-    // Resolve CSM from company record (owner ID → name)
-    const csmOwnerId = companies.length ? companies[0]?.properties?.csm : null;
-    const csmName = csmOwnerId ? await resolveOwnerName(hs, csmOwnerId) : null;
-    const csmLine = csmName
-      ? `${csmName} (from company record)`
-      : "Not assigned in HubSpot — check emails/Slack for CSM mentions";
-
-    const ownerName = r.owner;
-    const ownerLine = ownerName
-      ? `${ownerName} (Sales)`
-      : ownerId
-        ? `${ownerId} (name not found in HubSpot)`
-        : "Not observed in HubSpot history";
-
-    const contactsLine = contacts.length
-      ? contacts
-          .slice(0, 6)
-          .map((c) => {
-            const p = c.properties || {};
-            const nm = [p.firstname, p.lastname].filter(Boolean).join(" ").trim() || "Name not observed";
-            const role = p.jobtitle ? `, ${p.jobtitle}` : "";
-            const email = p.email ? ` (${p.email})` : "";
-            return `${nm}${role}${email}`;
-          })
-          .join("; ")
-      : "Not observed in HubSpot history";
-
-    const companyLine = companies.length
-      ? companies
-          .slice(0, 2)
-          .map((c) => c.properties?.name)
-          .filter(Boolean)
-          .join("; ")
-      : "Not observed in HubSpot history";
-
-    // Build unified timeline from all activity types
-    const timeline = formatTimelineForPrompt(r.emails, r.calls, r.meetings, r.notes);
-    const lineItems = formatLineItemsForPrompt(r.lineItems);
-
-    const amount = deal.properties?.amount
-      ? `${deal.properties.deal_currency_code || "$"}${Number(deal.properties.amount).toLocaleString()}`
-      : null;
-    const dealType = deal.properties?.dealtype || null;
-    const dealStage = deal.properties?.dealstage || null;
-    const pipelineName = deal.properties?.pipeline || null;
-    const description = deal.properties?.description || null;
-
-    // ── Phase 4: OpenAI + post to Slack ──
-    const prompt = buildQAPrompt({
-      question,
-      dealData: { dealId, dealName },
-      threadContext: r.threadContext,
-      hubspotData: {
-        dealName,
-        hubspotDealUrl,
-        ownerLine,
-        csmLine,
-        created,
-        closed,
-        cycleDays,
-        contactsLine,
-        companyLine,
-        amount,
-        dealType,
-        dealStage,
-        pipelineName,
-        description,
-        lineItems,
-        timeline
-      },
-      channelHistory,
-      crossDealResults
-    });
+  // The deal context holds every activity type (it's cached); the question decides
+  // which of them reach the prompt
+  const emails = requiredData.emails ? ctx.activity.emails : [];
+  const notes = requiredData.notes ? ctx.activity.notes : [];
+  const calls = requiredData.calls ? ctx.activity.calls : [];
+  const meetings = requiredData.meetings ? ctx.activity.meetings : [];
+  const timelineItems = buildTimelineItems(emails, calls, meetings, notes);
 
-    console.log("[handleAppMention] phase 4: calling OpenAI...");
-    const answer = await callOpenAIForQA(prompt);
-    console.log("[handleAppMention] posting to Slack thread_ts=%s", thread_ts || "(channel)");
-    const response = await slackPost(channel_id, answer, thread_ts);
-
-    // Store thread context if we have a thread (mention was in thread or we created one)
-    const responseThreadTs = thread_ts || response.ts;
-    if (responseThreadTs && response.ts) {
-      await storeThreadContext(channel_id, responseThreadTs, [
-        { user: user_id, text: question, ts },
-        { bot_id: botUserId, text: answer, ts: response.ts }
-      ], dealId);
-    }
-  } catch (err) {
+  // Keep recent activity whole; pull older excerpts by relevance to the question
+  const retrieved = await retrieveForQuestion(question, {
+    timelineItems,
+    channelItems: buildChannelItems(channelHistory || [])
+  });
+
+  const prompt = buildQAPrompt({
+    question,
+    dealData: { dealId, dealName },
+    threadContext,
+    hubspotData: {
+      ...ctx,
+      csmLine: ctx.csmName ? ctx.csmLine : `${ctx.csmLine} — check emails/Slack for CSM mentions`,
+      timelineItems: retrieved.timelineItems
+    },
+    channelItems: retrieved.channelItems,
+    relevantItems: retrieved.relevantItems,
+    crossDealResults
+  });
+
+  // Cited source IDs → footnote links back to HubSpot / Slack (kept as entries for the checkpoint)
+  const sources = buildSourceMap({
+    emails,
+    calls,
+    meetings,
+    notes,
+    channelMessages: channelHistory || []
+  });
+
+  return { prompt, sources: [...sources], newReplies: threadContext?.newReplies || [] };
+}
+
+/** Stage 3: the model's answer. */
+async function answerMention(payload, { slack }, job) {
+  console.log("[answerMention] calling the model...");
+  return { answer: await callOpenAIForQA(slack.prompt, "qa", { deadline: job.deadline }) };
+}
+
+/** Stage 4: post the answer and remember the exchange for follow-ups in the thread. */
+async function postMentionAnswer({ event }, { hubspot, slack, model }) {
+  const channel_id = event.channel;
+  const thread_ts = event.thread_ts || null;
+  const { question, botUserId, ctx } = hubspot;
+  const { dealId, dealName, dealReason, portalId, partialNote } = ctx;
+  const { answer } = model;
+
+  const linkedAnswer = await linkCitations(answer, new Map(slack.sources), { portalId, dealId, channel_id });
+
+  console.log("[postMentionAnswer] posting to Slack thread_ts=%s", thread_ts || "(channel)");
+  const response = await slackPost(
+    channel_id,
+    `${linkedAnswer}\n\n_Deal: ${dealName} — ${dealReason}_${partialNote ? `\n${partialNote}` : ""}`,
+    thread_ts
+  );
+
+  // Remember the exchange (and replies since the last one) for follow-ups in the thread
+  const responseThreadTs = thread_ts || response.ts;
+  if (responseThreadTs && response.ts) {
+    await recordTurns(channel_id, responseThreadTs, [
+      ...slack.newReplies,
+      { user: event.user, text: question, ts: event.ts },
+      { bot_id: botUserId, text: answer, ts: response.ts }
+    ], { dealId });
+    await compactConversation(channel_id, responseThreadTs);
+  }
+}
+
+defineJob("mention", {
+  stages: [
+    { name: "hubspot", run: loadMentionDeal, minMs: HUBSPOT_STAGE_MIN_MS },
+    { name: "slack", run: buildMentionPrompt },
+    { name: "model", run: answerMention, minMs: MODEL_STAGE_MIN_MS },
+    { name: "post", run: postMentionAnswer }
+  ],
+  onError: async ({ event }, err) => {
     console.error("Error handling app mention:", err?.message || err, err?.stack);
-    await safeErrorPost(channel_id, `Sorry, I encountered an error: ${err.message || "unknown_error"}`, thread_ts);
+    await safeErrorPost(event.channel, `Sorry, I encountered an error: ${err.message || "unknown_error"}`, event.thread_ts || null);
   }
+});
+
+// ===== Thread Follow-ups =====
+// Plain replies in a thread DeCo has answered in (conversation-store.js) are treated
+// as follow-up questions when they look addressed to the bot (isAddressedToBot).
+// Reacting with :THREAD_OPT_OUT_REACTION: (default :no_bell:) to the thread's first
+// message or any message in it mutes this for the thread; removing the reaction
+// unmutes it. @mentions are always answered. Needs the message.channels,
+// message.groups, reaction_added and reaction_removed event subscriptions (scopes
+// channels:history, groups:history, reactions:read).
+
+function optOutReaction() {
+  return process.env.THREAD_OPT_OUT_REACTION || "no_bell";
+}
+
+async function handleThreadReply(event) {
+  const channel_id = event.channel;
+  const thread_ts = event.thread_ts;
+
+  const conversation = await getConversation(channel_id, thread_ts);
+  if (!conversation) return;
+  if (conversation.optedOutBy) {
+    console.log("[handleThreadReply] follow-ups muted in %s:%s by %s", channel_id, thread_ts, conversation.optedOutBy);
+    return;
+  }
+
+  // Mentions arrive as app_mention too and are answered there
+  const botUserId = await getBotUserId();
+  if (event.user === botUserId || (event.text || "").includes(`<@${botUserId}>`)) return;
+  // Talking to someone else
+  if (/<@[UW][A-Z0-9]+>/.test(event.text || "")) return;
+
+  const replies = await getThreadHistory(channel_id, thread_ts).catch((err) => {
+    console.error("[handleThreadReply] error fetching thread history:", err.message);
+    return [];
+  });
+  const { messages } = mergeThreadReplies(conversation, replies, { excludeTs: event.ts });
+  if (!(await isAddressedToBot(event.text || "", messages))) {
+    console.log("[handleThreadReply] not addressed to the bot: %s", (event.text || "").slice(0, 80));
+    return;
+  }
+  if (!(await claimReply(channel_id, event.ts))) return;
+
+  console.log("[handleThreadReply] answering follow-up in %s:%s", channel_id, thread_ts);
+  await answerOnce(event, { followUp: true });
+}
+
+/** Queue the answer to a claimed message, releasing the claim if it can't be queued. */
+async function answerOnce(event, options = {}) {
+  try {
+    await runAppMention(event, options);
+  } catch (err) {
+    await releaseReply(event.channel, event.ts);
+    throw err;
+  }
+}
+
+/** Handle an event in the background; waitUntil keeps the function alive on Vercel.
+ *  The delivery stays claimed once the handler is done and is released if it throws,
+ *  so Slack's retry of the event can run it. */
+function handleInBackground(body, handler, label) {
+  waitUntil(
+    withTenant(body.team_id, async () => {
+      try {
+        await handler();
+      } catch (err) {
+        await releaseSlackDelivery("event", body.event_id);
+        throw err;
+      }
+      await confirmSlackDelivery("event", body.event_id);
+    }).catch((err) => {
+      console.error(`Error in async ${label} handler:`, err);
+    })
+  );
+}
+
+/** Thread root for a message ts — itself when it starts a thread DeCo is in. */
+async function threadRootFor(channel_id, ts) {
+  if (await isTrackedThread(channel_id, ts)) return ts;
+  const messages = await getThreadHistory(channel_id, ts);
+  const root = messages[0]?.thread_ts || null;
+  return root && (await isTrackedThread(channel_id, root)) ? root : null;
+}
+
+async function handleOptOutReaction(event) {
+  const { channel, ts } = event.item || {};
+  const thread_ts = await threadRootFor(channel, ts);
+  if (!thread_ts) return;
+
+  const muted = event.type === "reaction_added";
+  await setThreadOptOut(channel, thread_ts, muted ? event.user : null);
+  console.log("[handleOptOutReaction] follow-ups %s in %s:%s by %s", muted ? "muted" : "unmuted", channel, thread_ts, event.user);
+  await slackPostEphemeral(
+    channel,
+    event.user,
+    muted
+      ? "Got it — I'll stay out of this thread unless someone @mentions me."
+      : "I'll answer follow-up questions in this thread again.",
+    { thread_ts }
+  );
+}
+
+/** Queue an answer to an @mention. Also used by interactivity.js to resume a
+ *  mention once the user picks a deal, and by handleThreadReply for follow-ups. */
+export function runAppMention(event, options = {}) {
+  return enqueueJob("mention", { event, ...options });
 }
 
 export default async function handler(req, res) {
@@ -381,30 +458,53 @@ export default async function handler(req, res) {
     // Handle event callbacks
     if (body.type === "event_callback") {
       const event = body.event;
-      console.log("[events] received event type=%s channel=%s thread_ts=%s", event?.type, event?.channel, event?.thread_ts ?? "(none)");
+      const retry = slackRetryInfo(req);
+      console.log(
+        "[events] received event type=%s id=%s channel=%s thread_ts=%s%s",
+        event?.type,
+        body.event_id,
+        event?.channel,
+        event?.thread_ts ?? "(none)",
+        retry ? ` retry=${retry.num} reason=${retry.reason}` : ""
+      );
+
+      // Each event is handled once. A retry after http_timeout usually means the first
+      // delivery is still being worked on; after http_error or a connection failure the
+      // first attempt may never have claimed the event, or its claim was released or
+      // lapsed (utils.js), in which case this one runs.
+      if (!(await withTenant(body.team_id, () => claimSlackDelivery("event", body.event_id)))) {
+        console.log("[events] duplicate delivery of %s (%s), acknowledging", body.event_id, retry ? retry.reason : "no retry header");
+        res.setHeader("X-Slack-No-Retry", "1");
+        return res.status(200).send("OK");
+      }
 
       // Handle app_mention events
       if (event.type === "app_mention") {
         // Acknowledge immediately (Slack requires response within 3 seconds)
         res.status(200).send("OK");
-        // Process asynchronously — waitUntil keeps the function alive on Vercel
-        waitUntil(
-          withTimeoutNotification(
-            handleAppMention(event),
-            event.channel,
-            event.thread_ts || null
-          ).catch((err) => {
-            console.error("Error in async app_mention handler:", err);
-          })
-        );
+        handleInBackground(body, async () => {
+          if (!(await claimReply(event.channel, event.ts))) return;
+          await answerOnce(event);
+        }, "app_mention");
         return;
       }
 
-      // Thread replies without @mention are ignored — bot only responds to @mentions.
-      // When a user @mentions the bot in a thread, Slack sends both a "message" event
-      // and an "app_mention" event. We handle it via app_mention above.
+      // Plain replies in threads DeCo is part of may be follow-up questions. Edits,
+      // bot posts and other subtypes, and top-level messages are ignored.
       if (event.type === "message") {
-        return res.status(200).send("OK");
+        res.status(200).send("OK");
+        if (event.thread_ts && event.thread_ts !== event.ts && !event.subtype && !event.bot_id && event.user) {
+          handleInBackground(body, () => handleThreadReply(event), "thread reply");
+        }
+        return;
+      }
+
+      if ((event.type === "reaction_added" || event.type === "reaction_removed") && event.reaction === optOutReaction()) {
+        res.status(200).send("OK");
+        if (event.item?.type === "message") {
+          handleInBackground(body, () => handleOptOutReaction(event), "reaction");
+        }
+        return;
       }
 
       // Unknown event type, just acknowledge
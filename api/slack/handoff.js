@@ -1,48 +1,35 @@
-import axios from "axios";
 import { waitUntil } from "@vercel/functions";
 import {
   verifySlackRequest,
   readRawBody,
-  getSlackChannelName,
   slackPost,
-  channelNameToDealQuery,
-  getHubSpotAccessToken,
-  hubspotClient,
-  findBestDeal,
-  getDealAssociations,
-  batchRead,
-  resolveOwnerName,
-  daysBetweenISO
+  postToResponseUrl,
+  withTenant,
+  claimSlackDelivery,
+  confirmSlackDelivery,
+  releaseSlackDelivery
 } from "./utils.js";
-import {
-  fetchDealEmails,
-  fetchDealCalls,
-  fetchDealMeetings,
-  fetchDealNotes,
-  fetchDealLineItems,
-  formatTimelineForPrompt,
-  formatLineItemsForPrompt
-} from "./hubspot-data.js";
+import { buildTimelineItems } from "./hubspot-data.js";
+import { loadDealContext, dealContextSnapshot } from "./deal-context.js";
 import { callOpenAIForQA } from "./openai-qa.js";
-
-// Vercel Hobby plan has a 10s function timeout
-const VERCEL_TIMEOUT_WARNING_MS = 8000;
-
-async function postToResponseUrl(responseUrl, text, replaceOriginal = false) {
-  if (!responseUrl) return;
-  try {
-    await axios.post(
-      responseUrl,
-      { text, replace_original: replaceOriginal },
-      { headers: { "Content-Type": "application/json" }, timeout: 15000 }
-    );
-  } catch (e) {
-    console.error("postToResponseUrl failed:", e.message, e.response?.status);
-  }
-}
-
-function buildPromptFromHubSpotData({ dealName, hubspotDealUrl, ownerLine, csmLine, created, closed, cycleDays, contactsLine, companyLine, amount, dealType, dealStage, pipelineName, description, productDescription, isTrial, lineItems, timeline }) {
-  const instructions = `
+import { stripCitations } from "./citations.js";
+import { buildBudgetedPrompt } from "./context-packer.js";
+import { parkPendingRequest, buildDealPickerBlocks } from "./deal-picker.js";
+import { renderReportMessages, postReport } from "./blocks.js";
+import { defineJob, enqueueJob, MODEL_STAGE_MIN_MS, HUBSPOT_STAGE_MIN_MS } from "./jobs.js";
+import { trackReportThread } from "./conversation-store.js";
+import {
+  startProgress,
+  updateProgress,
+  clearProgress,
+  streamToProgress,
+  draftPreview,
+  describeActivity
+} from "./progress.js";
+
+/** The handoff summary prompt for a deal context (deal-context.js). */
+export function buildPromptFromHubSpotData({ dealName, hubspotDealUrl, ownerLine, csmLine, created, closed, cycleDays, contactsLine, companyLine, amount, dealType, dealStage, pipelineName, description, productDescription, isTrial, customFieldLines, lineItems, timelineItems }) {
+  const render = ({ timeline }) => `
 You are writing a deal handoff document for post-sales teams (Deployments, Customer Success, and Training) who are taking over from Sales. The audience has ZERO prior context on this deal — they need to understand who the customer is, what happened during the sales process, and what to watch out for.
 
 Using the HubSpot data below for deal "${dealName}", produce a structured handoff summary.
@@ -102,15 +89,124 @@ HubSpot Deal Data:
 - Company: ${companyLine || "Not found in HubSpot records"}
 - Contacts: ${contactsLine}
 ${description ? `- Description: ${description}` : ""}
-${productDescription ? `- Product: ${productDescription}` : ""}
-${isTrial != null ? `- Trial: ${isTrial}` : ""}
+${customFieldLines}
 ${lineItems ? `- Products/Line Items:\n${lineItems}` : "- Products/Line Items: None found in HubSpot records"}
 
 Activity Timeline (most recent first):
-${timeline || "No activity found in HubSpot."}
+${timeline}
 `.trim();
 
-  return instructions;
+  return buildBudgetedPrompt({
+    task: "summary",
+    sections: [{ name: "timeline", items: timelineItems, noun: "activities", empty: "No activity found in HubSpot." }],
+    render
+  });
+}
+
+// ===== Summary Job =====
+// /summary runs as a background job (jobs.js): post a placeholder, load the deal from
+// HubSpot, have the model write the handoff (streamed into the placeholder), post it in
+// the placeholder's place. Each stage's result is checkpointed.
+
+/** Stage 1: the placeholder the job keeps up to date (progress.js). */
+async function startSummaryProgress({ channel_id }) {
+  return { progressTs: await startProgress(channel_id, "Preparing a deal summary — looking up this channel's deal…") };
+}
+
+/** Stage 2: resolve the deal and load its HubSpot data, or tell the user why not. */
+async function loadSummaryDeal({ channel_id, user_id, response_url, pickedDealId = null, pickedBy = null }, { start }, job) {
+  const { progressTs } = start;
+  const ctx = await loadDealContext(channel_id, {
+    pickedDealId,
+    pickedBy,
+    deadline: job.deadline,
+    onDealFound: (deal) =>
+      updateProgress(channel_id, progressTs, `Found *${deal.properties?.dealname || deal.id}* — reading its HubSpot activity…`)
+  });
+  const { hs, deal, dealQuery } = ctx;
+  if (!deal) await clearProgress(channel_id, progressTs);
+  if (!deal && ctx.candidates) {
+    // Several deals match — park the request and let the user pick
+    const pendingId = await parkPendingRequest({ kind: "summary", channel_id, user_id, response_url });
+    const blocks = await buildDealPickerBlocks(hs, pendingId, ctx.candidates, dealQuery);
+    await postToResponseUrl(response_url, `Several HubSpot deals match "${dealQuery}" — pick one to continue.`, true, blocks);
+    return { done: true };
+  }
+  if (!deal) {
+    await postToResponseUrl(
+      response_url,
+      `No HubSpot deal found matching "${dealQuery}". Use \`/deco link <deal ID or HubSpot URL>\` to link this channel to a deal.`,
+      true
+    );
+    return { done: true };
+  }
+  return dealContextSnapshot(ctx);
+}
+
+/** Stage 3: build the timeline and prompt, and have the model write the summary. */
+async function writeSummary({ channel_id }, { start, hubspot: ctx }, job) {
+  const { emails, calls, meetings, notes } = ctx.activity;
+  const prompt = buildPromptFromHubSpotData({ ...ctx, timelineItems: buildTimelineItems(emails, calls, meetings, notes) });
+
+  const status = `Read ${describeActivity(ctx.activity)} for *${ctx.dealName}* — drafting the summary…`;
+  await updateProgress(channel_id, start.progressTs, status);
+  const progress = streamToProgress(channel_id, start.progressTs, (text) => draftPreview(status, stripCitations(text)));
+  try {
+    return { summaryText: stripCitations(await callOpenAIForQA(prompt, "summary", { onText: progress.onText, deadline: job.deadline })) };
+  } finally {
+    await progress.stop();
+  }
+}
+
+/** Stage 4: post the summary in the placeholder's place (replies in its thread are
+ *  follow-ups about the deal) and confirm to the user. */
+async function postSummary({ channel_id, response_url }, { start, hubspot: ctx, model }) {
+  const { channelName, dealId, dealName, dealReason, hubspotDealUrl, partialNote } = ctx;
+  const { summaryText } = model;
+  const messages = renderReportMessages(summaryText, {
+    title: `Deal Handoff: ${dealName}`,
+    hubspotDealUrl,
+    footer: [`Generated by DeCo from HubSpot · *${dealName}* — ${dealReason}`, partialNote].filter(Boolean).join("\n")
+  });
+  const report = await postReport(channel_id, messages, { replace_ts: start.progressTs, fallbackText: summaryText });
+  await trackReportThread(channel_id, report, summaryText, { dealId });
+  await postToResponseUrl(response_url, `Posted deal summary to #${channelName} for *${dealName}* (${dealReason}).`, true);
+}
+
+async function reportSummaryError({ channel_id, response_url }, err, { start } = {}) {
+  console.error("/summary error:", err?.message || err, err?.code);
+  await clearProgress(channel_id, start?.progressTs);
+  // Only a parsed JSON body is worth showing; anything else (a stream, HTML) falls back to the message
+  const data = err?.response?.data;
+  let msg = data && Object.getPrototypeOf(data) === Object.prototype ? JSON.stringify(data) : (err?.message || "unknown_error");
+  if (err?.code === "ETIMEDOUT" || msg.includes("ETIMEDOUT")) {
+    msg = "Redis connection timed out. Check Vercel logs and Redis connectivity.";
+  }
+  if (response_url) {
+    await postToResponseUrl(response_url, `Summary failed: ${msg}`, true);
+  } else {
+    try {
+      await slackPost(channel_id, `Summary failed: ${msg}`);
+    } catch (e) {
+      console.error("slackPost error:", e.message);
+    }
+  }
+}
+
+defineJob("summary", {
+  stages: [
+    { name: "start", run: startSummaryProgress },
+    { name: "hubspot", run: loadSummaryDeal, minMs: HUBSPOT_STAGE_MIN_MS },
+    { name: "model", run: writeSummary, minMs: MODEL_STAGE_MIN_MS },
+    { name: "post", run: postSummary }
+  ],
+  onError: reportSummaryError
+});
+
+/** Queue the deal handoff summary for a channel. Called by the slash command and, once
+ *  the user picks a deal from the disambiguation prompt, by interactivity.js. */
+export function runSummary({ channel_id, user_id, response_url, pickedDealId = null, pickedBy = null }) {
+  return enqueueJob("summary", { channel_id, user_id, response_url, pickedDealId, pickedBy });
 }
 
 export default async function handler(req, res) {
@@ -127,175 +223,37 @@ export default async function handler(req, res) {
   }
 
   const payload = Object.fromEntries(new URLSearchParams(rawBody));
+
+  // A repeated invocation (same trigger_id) is acknowledged without running again
+  if (!(await withTenant(payload.team_id, () => claimSlackDelivery("command", payload.trigger_id)))) {
+    console.log("[/summary] duplicate invocation trigger_id=%s, ignoring", payload.trigger_id);
+    return res.status(200).send("");
+  }
+
   const channel_id = payload.channel_id;
   const response_url = payload.response_url;
+  const user_id = payload.user_id;
 
   // Respond within 3 seconds or Slack shows "operation_timeout"
   res.status(200).json({
     response_type: "ephemeral",
-    text: "Generating deal summary... (this may take a moment)"
+    text: "Generating deal summary... follow its progress in the channel."
   });
 
-  // Keep function alive until work completes (Vercel would otherwise stop after res.json)
-  // Set a timer to warn via response_url if we're approaching the Vercel Hobby timeout
-  let summaryFinished = false;
-  const timeoutWarning = setTimeout(async () => {
-    if (!summaryFinished && response_url) {
-      console.warn("[/summary] approaching Vercel timeout, posting warning");
-      await postToResponseUrl(
-        response_url,
-        "Still generating the summary, but it's taking longer than expected. " +
-        "If you don't see a response shortly, the Vercel function may have timed out (10s limit on Hobby plan). " +
-        "Try running /summary again.",
-        false
-      );
-    }
-  }, VERCEL_TIMEOUT_WARNING_MS);
-
+  // Queue the job (the worker does the rest); waitUntil keeps the function alive until it's
+  // queued. The invocation stays claimed once queued, and is released if queueing fails.
   waitUntil(
-    (async () => {
+    withTenant(payload.team_id, async () => {
       try {
-        // ── Phase 1: Channel name + HubSpot token (parallel) ──
-        const [channelName, accessToken] = await Promise.all([
-          getSlackChannelName(channel_id),
-          getHubSpotAccessToken()
-        ]);
-
-        const dealQuery = channelNameToDealQuery(channelName);
-        const hs = hubspotClient(accessToken);
-
-        // ── Phase 2: Find deal ──
-        const deal = await findBestDeal(hs, dealQuery);
-        if (!deal) {
-          await postToResponseUrl(response_url, `No HubSpot deal found matching "${dealQuery}".`, true);
-          return;
-        }
-
-        const dealId = deal.id;
-        const dealName = deal.properties?.dealname || dealQuery;
-        const created = deal.properties?.createdate || null;
-        const closed = deal.properties?.closedate || null;
-        const cycleDays = daysBetweenISO(created, closed);
-        const ownerId = deal.properties?.hubspot_owner_id || null;
-
-        const portalId = process.env.HUBSPOT_PORTAL_ID;
-        const hubspotDealUrl = portalId
-          ? `https://app.hubspot.com/contacts/${portalId}/record/0-3/${dealId}`
-          : `(HUBSPOT_PORTAL_ID env var not set — cannot generate deal link)`;
-
-        // ── Phase 3: All data fetches in parallel ──
-        const [ownerName, associations, emails, calls, meetings, notes, lineItemsRaw] = await Promise.all([
-          resolveOwnerName(hs, ownerId),
-          getDealAssociations(hs, dealId),
-          fetchDealEmails(hs, dealId),
-          fetchDealCalls(hs, dealId),
-          fetchDealMeetings(hs, dealId),
-          fetchDealNotes(hs, dealId),
-          fetchDealLineItems(hs, dealId)
-        ]);
-
-        // Phase 3b: Contacts + companies (depends on associations)
-        const { contactIds, companyIds } = associations;
-        const [contacts, companies] = await Promise.all([
-          batchRead(hs, "contacts", contactIds, ["firstname", "lastname", "jobtitle", "email"]),
-          batchRead(hs, "companies", companyIds, ["name", "domain", "csm"])
-        ]);
-
-        // Resolve CSM from company record (owner ID → name)
-        const csmOwnerId = companies.length ? companies[0]?.properties?.csm : null;
-        const csmName = csmOwnerId ? await resolveOwnerName(hs, csmOwnerId) : null;
-        const csmLine = csmName
-          ? `${csmName} (from company record)`
-          : "Not assigned in HubSpot";
-
-        const ownerLine = ownerName
-          ? `${ownerName} (Sales)`
-          : ownerId
-            ? `${ownerId} (name not found in HubSpot)`
-            : "Not found in HubSpot records";
-
-        const contactsLine = contacts.length
-          ? contacts
-              .slice(0, 6)
-              .map((c) => {
-                const p = c.properties || {};
-                const nm = [p.firstname, p.lastname].filter(Boolean).join(" ").trim() || "Name not found";
-                const role = p.jobtitle ? `, ${p.jobtitle}` : "";
-                const email = p.email ? ` (${p.email})` : "";
-                return `${nm}${role}${email}`;
-              })
-              .join("; ")
-          : "Not found in HubSpot records";
-
-        const companyLine = companies.length
-          ? companies
-              .slice(0, 2)
-              .map((c) => c.properties?.name)
-              .filter(Boolean)
-              .join("; ")
-          : "Not found in HubSpot records";
-
-        // ── Phase 4: Build timeline + prompt + OpenAI ──
-        const timeline = formatTimelineForPrompt(emails, calls, meetings, notes);
-        const lineItems = formatLineItemsForPrompt(lineItemsRaw);
-
-        const amount = deal.properties?.amount
-          ? `${deal.properties.deal_currency_code || "$"}${Number(deal.properties.amount).toLocaleString()}`
-          : null;
-        const dealType = deal.properties?.dealtype || null;
-        const dealStage = deal.properties?.dealstage || null;
-        const pipelineName = deal.properties?.pipeline || null;
-        const description = deal.properties?.description || null;
-        const productLine = deal.properties?.product_line || null;
-        const sourceConfig = deal.properties?.source_configuration || null;
-        const productDescription = [sourceConfig, productLine].filter(Boolean).join(" ") || null;
-        const trialRaw = deal.properties?.is_this_a_trial_ || null;
-        const isTrial = trialRaw ? (trialRaw.toLowerCase() === "true" || trialRaw.toLowerCase() === "yes" ? "Yes" : "No") : null;
-
-        const prompt = buildPromptFromHubSpotData({
-          dealName,
-          hubspotDealUrl,
-          ownerLine,
-          csmLine,
-          created,
-          closed,
-          cycleDays,
-          contactsLine,
-          companyLine,
-          amount,
-          dealType,
-          dealStage,
-          pipelineName,
-          description,
-          productDescription,
-          isTrial,
-          lineItems,
-          timeline
-        });
-
-        const summaryText = await callOpenAIForQA(prompt);
-        await slackPost(channel_id, summaryText);
-        summaryFinished = true;
-        clearTimeout(timeoutWarning);
-        await postToResponseUrl(response_url, `Posted deal summary to #${channelName}.`, true);
+        await runSummary({ channel_id, user_id, response_url });
       } catch (err) {
-        summaryFinished = true;
-        clearTimeout(timeoutWarning);
-        console.error("/summary error:", err?.message || err, err?.code);
-        let msg = err?.response?.data ? JSON.stringify(err.response.data) : (err?.message || "unknown_error");
-        if (err?.code === "ETIMEDOUT" || msg.includes("ETIMEDOUT")) {
-          msg = "Redis connection timed out. Check Vercel logs and Redis connectivity.";
-        }
-        if (response_url) {
-          await postToResponseUrl(response_url, `Summary failed: ${msg}`, true);
-        } else {
-          try {
-            await slackPost(channel_id, `Summary failed: ${msg}`);
-          } catch (e) {
-            console.error("slackPost error:", e.message);
-          }
-        }
+        await releaseSlackDelivery("command", payload.trigger_id);
+        throw err;
       }
-    })()
+      await confirmSlackDelivery("command", payload.trigger_id);
+    }).catch(async (err) => {
+      console.error("[/summary] enqueue error:", err?.message || err);
+      await postToResponseUrl(response_url, `Summary failed: ${err?.message || "unknown_error"}`, true);
+    })
   );
 }
@@ -1,34 +1,106 @@
-import { batchRead } from "./utils.js";
+import { batchRead, getAssociatedIds } from "./utils.js";
+import { engagementCitationId } from "./citations.js";
+import { trimToTokens, firstSentence } from "./context-packer.js";
+import { describeDealStage } from "./deal-stages.js";
 
 // ===== Modern CRM v4 Deal Activity Fetching =====
 // Uses associations API (v4) + batch read (v3) — same proven pattern as fetchDealNotes.
 // Replaces deprecated /engagements/v1/ and non-functional /integrations/v1/ endpoints.
+// Association reads follow every page; HUBSPOT_ACTIVITY_LIMIT caps how many of each
+// activity type (newest first) are read per deal (default 500, 0 = no cap).
+//
+// Reps often log emails and calls against the contact or company only. With
+// HUBSPOT_RELATED_ACTIVITY=1, fetchers also pull activity associated with the
+// deal's contacts and companies (see relatedActivityScope), keeping only what falls
+// inside the deal's lifetime. Activity on both the deal and a contact appears once.
+
+const DEFAULT_ACTIVITY_LIMIT = 500;
+const MAX_RELATED_RECORDS = 25;
+const RELATED_LOOKBACK_DAYS = 14;
+
+function activityLimit() {
+  const value = parseInt(process.env.HUBSPOT_ACTIVITY_LIMIT, 10);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_ACTIVITY_LIMIT;
+}
+
+/** Scope for pulling contact/company activity into a deal's fetchers, or null when
+ *  HUBSPOT_RELATED_ACTIVITY is off. `associations` may be the pending result of
+ *  getDealAssociations so the fetchers still run in parallel with it. The window
+ *  opens shortly before the deal was created and closes when it was lost (open and
+ *  won deals run to now — post-sales activity belongs to the deal). */
+export function relatedActivityScope(deal, associations) {
+  if (process.env.HUBSPOT_RELATED_ACTIVITY !== "1") return null;
+  const p = deal?.properties || {};
+  const created = p.createdate ? Number(new Date(p.createdate)) : NaN;
+  const lost = p.hs_is_closed_lost === "true" || p.dealstage === "closedlost";
+  const closed = lost && p.closedate ? Number(new Date(p.closedate)) : NaN;
+  return {
+    associations,
+    from: Number.isFinite(created) ? created - RELATED_LOOKBACK_DAYS * 24 * 60 * 60 * 1000 : null,
+    to: Number.isFinite(closed) ? closed : null
+  };
+}
+
+/** Batch-read a deal's activity of one type, newest first by `timeProperty`. With a
+ *  related-activity scope, adds (deduplicated) activity from the deal's contacts and
+ *  companies that falls inside the scope's window. */
+async function readDealActivity(hs, dealId, objectType, properties, timeProperty, scope) {
+  const limit = activityLimit();
+  const dealActivityIds = await getAssociatedIds(hs, "deals", dealId, objectType, { limit });
+
+  let relatedIds = [];
+  if (scope) {
+    const { contactIds, companyIds } = await scope.associations;
+    const owners = [
+      ...contactIds.slice(0, MAX_RELATED_RECORDS).map((id) => ["contacts", id]),
+      ...companyIds.slice(0, MAX_RELATED_RECORDS).map((id) => ["companies", id])
+    ];
+    const lists = await Promise.allSettled(
+      owners.map(([type, id]) => getAssociatedIds(hs, type, id, objectType, { limit }))
+    );
+    const onDeal = new Set(dealActivityIds.map(String));
+    relatedIds = [
+      ...new Set(lists.flatMap((l) => (l.status === "fulfilled" ? l.value : [])).map(String))
+    ].filter((id) => !onDeal.has(id));
+  }
 
-export async function fetchDealEmails(hs, dealId) {
+  if (!dealActivityIds.length && !relatedIds.length) return [];
+
+  const timeOf = (record) => Number(new Date(record.properties?.[timeProperty] || 0));
+  const [dealActivity, related] = await Promise.all([
+    batchRead(hs, objectType, dealActivityIds, properties),
+    batchRead(hs, objectType, relatedIds, properties)
+  ]);
+  const inWindow = related.filter((record) => {
+    const t = timeOf(record);
+    return (scope.from == null || t >= scope.from) && (scope.to == null || t <= scope.to);
+  });
+  if (related.length) {
+    console.log("[readDealActivity] %s: %d deal + %d related (%d outside the deal's lifetime)", objectType, dealActivity.length, inWindow.length, related.length - inWindow.length);
+  }
+
+  const records = [...dealActivity, ...inWindow].sort((a, b) => timeOf(b) - timeOf(a));
+  return limit > 0 ? records.slice(0, limit) : records;
+}
+
+export async function fetchDealEmails(hs, dealId, scope = null) {
   try {
-    const assoc = await hs.get(`/crm/v4/objects/deals/${dealId}/associations/emails`);
-    const emailIds = (assoc.data?.results || [])
-      .map((r) => r.toObjectId)
-      .filter(Boolean)
-      .sort((a, b) => Number(b) - Number(a))
-      .slice(0, 100);
-
-    if (!emailIds.length) return [];
-
-    const emails = await batchRead(hs, "emails", emailIds, [
-      "hs_email_subject",
-      "hs_email_direction",
-      "hs_email_status",
-      "hs_email_text",
-      "hs_email_html",
+    return await readDealActivity(
+      hs,
+      dealId,
+      "emails",
+      [
+        "hs_email_subject",
+        "hs_email_direction",
+        "hs_email_status",
+        "hs_email_text",
+        "hs_email_html",
+        "hs_timestamp",
+        "hs_email_sender_email",
+        "hs_email_to_email"
+      ],
       "hs_timestamp",
-      "hs_email_sender_email",
-      "hs_email_to_email"
-    ]);
-    return emails.sort(
-      (a, b) =>
-        Number(new Date(b.properties?.hs_timestamp || 0)) -
-        Number(new Date(a.properties?.hs_timestamp || 0))
+      scope
     );
   } catch (err) {
     console.error("[fetchDealEmails] error:", err.message, err.response?.status);
@@ -36,30 +108,23 @@ export async function fetchDealEmails(hs, dealId) {
   }
 }
 
-export async function fetchDealCalls(hs, dealId) {
+export async function fetchDealCalls(hs, dealId, scope = null) {
   try {
-    const assoc = await hs.get(`/crm/v4/objects/deals/${dealId}/associations/calls`);
-    const callIds = (assoc.data?.results || [])
-      .map((r) => r.toObjectId)
-      .filter(Boolean)
-      .sort((a, b) => Number(b) - Number(a))
-      .slice(0, 100);
-
-    if (!callIds.length) return [];
-
-    const calls = await batchRead(hs, "calls", callIds, [
-      "hs_call_title",
-      "hs_call_body",
-      "hs_call_direction",
-      "hs_call_duration",
-      "hs_call_disposition",
-      "hs_call_status",
-      "hs_timestamp"
-    ]);
-    return calls.sort(
-      (a, b) =>
-        Number(new Date(b.properties?.hs_timestamp || 0)) -
-        Number(new Date(a.properties?.hs_timestamp || 0))
+    return await readDealActivity(
+      hs,
+      dealId,
+      "calls",
+      [
+        "hs_call_title",
+        "hs_call_body",
+        "hs_call_direction",
+        "hs_call_duration",
+        "hs_call_disposition",
+        "hs_call_status",
+        "hs_timestamp"
+      ],
+      "hs_timestamp",
+      scope
     );
   } catch (err) {
     console.error("[fetchDealCalls] error:", err.message, err.response?.status);
@@ -67,29 +132,22 @@ export async function fetchDealCalls(hs, dealId) {
   }
 }
 
-export async function fetchDealMeetings(hs, dealId) {
+export async function fetchDealMeetings(hs, dealId, scope = null) {
   try {
-    const assoc = await hs.get(`/crm/v4/objects/deals/${dealId}/associations/meetings`);
-    const meetingIds = (assoc.data?.results || [])
-      .map((r) => r.toObjectId)
-      .filter(Boolean)
-      .sort((a, b) => Number(b) - Number(a))
-      .slice(0, 100);
-
-    if (!meetingIds.length) return [];
-
-    const meetings = await batchRead(hs, "meetings", meetingIds, [
-      "hs_meeting_title",
-      "hs_meeting_body",
-      "hs_meeting_start_time",
-      "hs_meeting_end_time",
-      "hs_meeting_outcome",
-      "hs_timestamp"
-    ]);
-    return meetings.sort(
-      (a, b) =>
-        Number(new Date(b.properties?.hs_timestamp || 0)) -
-        Number(new Date(a.properties?.hs_timestamp || 0))
+    return await readDealActivity(
+      hs,
+      dealId,
+      "meetings",
+      [
+        "hs_meeting_title",
+        "hs_meeting_body",
+        "hs_meeting_start_time",
+        "hs_meeting_end_time",
+        "hs_meeting_outcome",
+        "hs_timestamp"
+      ],
+      "hs_timestamp",
+      scope
     );
   } catch (err) {
     console.error("[fetchDealMeetings] error:", err.message, err.response?.status);
@@ -97,17 +155,9 @@ export async function fetchDealMeetings(hs, dealId) {
   }
 }
 
-export async function fetchDealNotes(hs, dealId) {
+export async function fetchDealNotes(hs, dealId, scope = null) {
   try {
-    const assoc = await hs.get(`/crm/v4/objects/deals/${dealId}/associations/notes`);
-    const noteIds = (assoc.data?.results || []).map((r) => r.toObjectId).filter(Boolean).sort((a, b) => Number(b) - Number(a)).slice(0, 100);
-
-    if (!noteIds.length) return [];
-
-    const notes = await batchRead(hs, "notes", noteIds, ["hs_note_body", "hs_createdate", "hubspot_owner_id"]);
-    return notes.sort(
-      (a, b) => Number(new Date(b.properties?.hs_createdate || 0)) - Number(new Date(a.properties?.hs_createdate || 0))
-    );
+    return await readDealActivity(hs, dealId, "notes", ["hs_note_body", "hs_createdate", "hubspot_owner_id"], "hs_createdate", scope);
   } catch (err) {
     console.error("Error fetching notes:", err.message);
     return [];
@@ -116,11 +166,7 @@ export async function fetchDealNotes(hs, dealId) {
 
 export async function fetchDealLineItems(hs, dealId) {
   try {
-    const assoc = await hs.get(`/crm/v4/objects/deals/${dealId}/associations/line_items`);
-    const lineItemIds = (assoc.data?.results || [])
-      .map((r) => r.toObjectId)
-      .filter(Boolean)
-      .slice(0, 50);
+    const lineItemIds = await getAssociatedIds(hs, "deals", dealId, "line_items", { limit: 50 });
 
     if (!lineItemIds.length) return [];
 
@@ -199,13 +245,15 @@ export async function searchDealsAcrossPortal(hs, keywords, excludeDealId, limit
   }
 }
 
-export function formatCrossDealResults(deals) {
+/** One line per deal for the prompt; `stageLabels` from loadStageLabels (deal-stages.js). */
+export function formatCrossDealResults(deals, stageLabels = null) {
   if (!deals || !deals.length) return null;
   return deals
     .map((d) => {
       const p = d.properties || {};
       const name = p.dealname || "Unnamed deal";
-      const stage = p.dealstage || "unknown stage";
+      const { stageLine, pipelineName } = describeDealStage(stageLabels, p);
+      const stage = stageLine ? `${stageLine}${pipelineName ? `, ${pipelineName}` : ""}` : "unknown stage";
       const amount = p.amount ? `$${Number(p.amount).toLocaleString()}` : "no amount";
       const type = p.dealtype || "";
       const closed = p.closedate ? new Date(p.closedate).toISOString().split("T")[0] : "";
@@ -272,15 +320,34 @@ export function determineRequiredData(question, dealData) {
   return required;
 }
 
-// ===== Unified Timeline Formatter =====
+// ===== Unified Timeline =====
+// Each line starts with its citation ID (see citations.js) so answers can cite it.
+
+// Upper bound for one entry's body — long quoted email chains add little past this
+const MAX_BODY_TOKENS = 1500;
 
 function stripHtml(html) {
   if (!html) return "";
   return html.replace(/<[^>]*>/g, "").replace(/&nbsp;/g, " ").replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">");
 }
 
-export function formatTimelineForPrompt(emails, calls, meetings, notes, maxEmailLength = 200, maxItems = 40) {
+/** Timeline entries for prompt packing (see context-packer.js), most recent first:
+ *  [{ timestamp, header, body, text, brief }]. `text` carries the body (bounded at a
+ *  sentence boundary); `brief` is the header plus first sentence for when the budget
+ *  is tight. */
+export function buildTimelineItems(emails, calls, meetings, notes) {
   const items = [];
+  const add = (timestamp, header, body) => {
+    const clean = (body || "").replace(/\s+/g, " ").trim();
+    const bounded = trimToTokens(clean, MAX_BODY_TOKENS);
+    items.push({
+      timestamp,
+      header,
+      body: bounded,
+      text: clean ? `${header}: ${bounded}` : header,
+      brief: clean ? `${header}: ${firstSentence(clean)}` : header
+    });
+  };
 
   for (const e of (emails || [])) {
     const p = e.properties || {};
@@ -291,12 +358,11 @@ export function formatTimelineForPrompt(emails, calls, meetings, notes, maxEmail
     const subject = p.hs_email_subject || "No subject";
     const from = p.hs_email_sender_email || "";
     const to = p.hs_email_to_email || "";
-    const body = (p.hs_email_text || stripHtml(p.hs_email_html) || "").replace(/\s+/g, " ").trim();
-    const snippet = body ? `: ${body.substring(0, maxEmailLength)}` : "";
-    items.push({
-      timestamp: p.hs_timestamp || "0",
-      line: `- EMAIL (${direction}) on ${date} — Subject: "${subject}"${from ? ` from ${from}` : ""}${to ? ` to ${to}` : ""}${snippet}`
-    });
+    add(
+      p.hs_timestamp || "0",
+      `- [${engagementCitationId("email", e.id)}] EMAIL (${direction}) on ${date} — Subject: "${subject}"${from ? ` from ${from}` : ""}${to ? ` to ${to}` : ""}`,
+      p.hs_email_text || stripHtml(p.hs_email_html)
+    );
   }
 
   for (const c of (calls || [])) {
@@ -310,12 +376,11 @@ export function formatTimelineForPrompt(emails, calls, meetings, notes, maxEmail
       ? `${Math.round(Number(p.hs_call_duration) / 1000 / 60)}min`
       : "";
     const disposition = p.hs_call_disposition || "";
-    const body = (p.hs_call_body || "").replace(/\s+/g, " ").trim();
-    const snippet = body ? `: ${body.substring(0, 200)}` : "";
-    items.push({
-      timestamp: p.hs_timestamp || "0",
-      line: `- CALL (${direction}) on ${date} — ${title}${duration ? `, ${duration}` : ""}${disposition ? ` [${disposition}]` : ""}${snippet}`
-    });
+    add(
+      p.hs_timestamp || "0",
+      `- [${engagementCitationId("call", c.id)}] CALL (${direction}) on ${date} — ${title}${duration ? `, ${duration}` : ""}${disposition ? ` [${disposition}]` : ""}`,
+      stripHtml(p.hs_call_body)
+    );
   }
 
   for (const m of (meetings || [])) {
@@ -325,12 +390,11 @@ export function formatTimelineForPrompt(emails, calls, meetings, notes, maxEmail
       : "unknown date";
     const title = p.hs_meeting_title || "Meeting";
     const outcome = p.hs_meeting_outcome || "";
-    const body = (p.hs_meeting_body || "").replace(/\s+/g, " ").trim();
-    const snippet = body ? `: ${stripHtml(body).substring(0, 200)}` : "";
-    items.push({
-      timestamp: p.hs_timestamp || "0",
-      line: `- MEETING on ${date} — ${title}${outcome ? ` [${outcome}]` : ""}${snippet}`
-    });
+    add(
+      p.hs_timestamp || "0",
+      `- [${engagementCitationId("meeting", m.id)}] MEETING on ${date} — ${title}${outcome ? ` [${outcome}]` : ""}`,
+      stripHtml(p.hs_meeting_body)
+    );
   }
 
   for (const n of (notes || [])) {
@@ -338,19 +402,13 @@ export function formatTimelineForPrompt(emails, calls, meetings, notes, maxEmail
     const date = p.hs_createdate
       ? new Date(p.hs_createdate).toISOString().split("T")[0]
       : "unknown date";
-    const body = stripHtml(p.hs_note_body || "").replace(/\s+/g, " ").trim();
-    items.push({
-      timestamp: p.hs_createdate || "0",
-      line: `- NOTE on ${date}: ${body.substring(0, 300)}`
-    });
+    add(p.hs_createdate || "0", `- [${engagementCitationId("note", n.id)}] NOTE on ${date}`, stripHtml(p.hs_note_body));
   }
 
-  if (!items.length) return "No activity found in HubSpot.";
-
   // Sort descending by timestamp (most recent first)
   items.sort(
     (a, b) => Number(new Date(b.timestamp)) - Number(new Date(a.timestamp))
   );
 
-  return items.slice(0, maxItems).map((i) => i.line).join("\n");
+  return items;
 }
@@ -0,0 +1,170 @@
+// ===== HubSpot Rate Limiting and Retries =====
+// A single @mention fans out ~10 HubSpot calls at once. withRateLimiting() adds
+// axios interceptors to a HubSpot client so that:
+//   - requests for one portal share a concurrency limit (across every client created
+//     for that portal in this instance), and pause when HubSpot's rate-limit headers
+//     say the window is used up;
+//   - 429s, 5xx and network errors are retried with bounded exponential backoff and
+//     jitter, honouring Retry-After;
+//   - sources that still failed are recorded on the client, so replies can say the
+//     data is partial (see partialDataNote) instead of silently leaving it out;
+//   - with a `deadline` (a background job's time limit, jobs.js), request timeouts
+//     are shortened to fit and retries that would run past it are skipped.
+// Every HubSpot call this app makes is a read, so all of them are safe to retry.
+//
+// HUBSPOT_MAX_CONCURRENCY  requests in flight per portal (default 6)
+// HUBSPOT_MAX_RETRIES      retries per request (default 3)
+
+const DEFAULT_MAX_CONCURRENCY = 6;
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 10000;
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "EAI_AGAIN", "EPIPE"]);
+
+const limiters = new Map();
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function limiterFor(key) {
+  if (!limiters.has(key)) limiters.set(key, { active: 0, queue: [], pausedUntil: 0 });
+  return limiters.get(key);
+}
+
+async function acquire(limiter) {
+  for (;;) {
+    const pause = limiter.pausedUntil - Date.now();
+    if (pause > 0) await sleep(pause);
+    if (limiter.active < Math.max(1, envInt("HUBSPOT_MAX_CONCURRENCY", DEFAULT_MAX_CONCURRENCY))) {
+      limiter.active++;
+      return;
+    }
+    await new Promise((resolve) => limiter.queue.push(resolve));
+  }
+}
+
+function release(config) {
+  const limiter = config?._hubspotLimiter;
+  if (!limiter) return;
+  config._hubspotLimiter = null;
+  limiter.active--;
+  limiter.queue.shift()?.();
+}
+
+function pauseLimiter(limiter, ms) {
+  limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + ms);
+}
+
+/** How long HubSpot's rate-limit headers say to hold off, or 0. */
+function rateLimitWaitMs(headers = {}) {
+  if (headers["x-hubspot-ratelimit-secondly-remaining"] === "0") return 1000;
+  if (headers["x-hubspot-ratelimit-remaining"] === "0") {
+    return Number(headers["x-hubspot-ratelimit-interval-milliseconds"]) || 1000;
+  }
+  return 0;
+}
+
+function retryAfterMs(headers = {}) {
+  const value = headers["retry-after"];
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+function isRetryable(err, attempt) {
+  if (err.response) return RETRYABLE_STATUSES.has(err.response.status);
+  // A timed-out request already used the full timeout — only try it once more
+  if (err.code === "ECONNABORTED") return attempt === 0;
+  return RETRYABLE_CODES.has(err.code);
+}
+
+/** Delay before retry number `attempt` (0-based): what the server asked for, else
+ *  exponential backoff with full jitter. */
+function retryDelayMs(err, attempt) {
+  const headers = err.response?.headers || {};
+  const requested = retryAfterMs(headers) || (err.response?.status === 429 ? rateLimitWaitMs(headers) : 0);
+  const backoff = Math.random() * BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(MAX_DELAY_MS, requested + backoff);
+}
+
+/** Human label for the HubSpot data a request was fetching ("emails", "deal search"). */
+function sourceLabel(url = "") {
+  const path = url.split("?")[0];
+  const match =
+    path.match(/\/associations\/([a-z_]+)/) ||
+    path.match(/\/objects\/([a-z_]+)\/batch\/read/) ||
+    path.match(/\/objects\/([a-z_]+)\/search/);
+  if (match) return path.includes("/search") ? `${match[1].replace(/s$/, "")} search` : match[1].replace(/_/g, " ");
+  if (path.includes("/owners/")) return "owners";
+  if (path.includes("/pipelines/")) return "pipeline stages";
+  return path.split("/").filter(Boolean).slice(0, 3).join("/") || "HubSpot";
+}
+
+/** Add rate limiting, retries and failure tracking to a HubSpot axios client.
+ *  `portalKey` identifies the portal whose limit the client shares; `deadline` (ms
+ *  since epoch) is when its requests must be done by. */
+export function withRateLimiting(client, portalKey, { deadline = null } = {}) {
+  const limiter = limiterFor(portalKey || "");
+  client.failedSources = new Set();
+
+  client.interceptors.request.use(async (config) => {
+    await acquire(limiter);
+    config._hubspotLimiter = limiter;
+    if (deadline) config.timeout = Math.max(1, Math.min(config.timeout || Infinity, deadline - Date.now()));
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      release(response.config);
+      const wait = rateLimitWaitMs(response.headers);
+      if (wait) pauseLimiter(limiter, wait);
+      return response;
+    },
+    async (err) => {
+      const config = err.config;
+      release(config);
+      if (!config) throw err;
+
+      const attempt = config._hubspotRetry || 0;
+      const delay = retryDelayMs(err, attempt);
+      const inTime = !deadline || Date.now() + delay < deadline;
+      if (attempt < envInt("HUBSPOT_MAX_RETRIES", DEFAULT_MAX_RETRIES) && isRetryable(err, attempt) && inTime) {
+        if (err.response?.status === 429) pauseLimiter(limiter, delay);
+        console.warn(
+          "[hubspot] %s %s failed (%s), retry %d in %dms",
+          config.method?.toUpperCase(),
+          config.url,
+          err.response?.status || err.code,
+          attempt + 1,
+          Math.round(delay)
+        );
+        await sleep(delay);
+        config._hubspotRetry = attempt + 1;
+        return client.request(config);
+      }
+
+      if (isRetryable(err, 0)) client.failedSources.add(sourceLabel(config.url));
+      throw err;
+    }
+  );
+  return client;
+}
+
+/** "Partial data" note for a reply when some HubSpot sources still failed after
+ *  retries, or null. */
+export function partialDataNote(hs) {
+  const failed = [...(hs?.failedSources || [])];
+  if (!failed.length) return null;
+  const list = failed.length > 1 ? `${failed.slice(0, -1).join(", ")} and ${failed[failed.length - 1]}` : failed[0];
+  return `⚠️ _Partial data: HubSpot ${list} couldn't be loaded (rate limited or unavailable), so this may be incomplete._`;
+}
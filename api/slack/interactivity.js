@@ -0,0 +1,75 @@
+import { waitUntil } from "@vercel/functions";
+import { verifySlackRequest, readRawBody, postToResponseUrl, withTenant } from "./utils.js";
+import { PICK_DEAL_ACTION_ID, takePendingRequest } from "./deal-picker.js";
+import { runSummary } from "./handoff.js";
+import { runPlan } from "./plan.js";
+import { runAppMention } from "./events.js";
+
+/** Resume a parked /summary, /plan or @mention with the deal the user picked. */
+async function handlePickDeal(payload, action) {
+  const [pendingId, dealId] = (action.value || "").split(":");
+  const user_id = payload.user?.id;
+
+  const pending = pendingId ? await takePendingRequest(pendingId) : null;
+  if (!pending) {
+    await postToResponseUrl(
+      payload.response_url,
+      "This request has expired or was already handled. Run the command again.",
+      true
+    );
+    return;
+  }
+
+  await postToResponseUrl(payload.response_url, `Got it — using deal ${dealId}...`, true);
+
+  const options = { pickedDealId: dealId, pickedBy: user_id };
+  if (pending.kind === "summary") {
+    await runSummary({ channel_id: pending.channel_id, user_id: pending.user_id, response_url: pending.response_url, ...options });
+  } else if (pending.kind === "plan") {
+    await runPlan({ channel_id: pending.channel_id, user_id: pending.user_id, response_url: pending.response_url, ...options });
+  } else if (pending.kind === "mention") {
+    await runAppMention(pending.event, options);
+  } else {
+    console.warn("[interactivity] unknown pending request kind:", pending.kind);
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).send("Method Not Allowed");
+
+  const rawBody = await readRawBody(req);
+
+  if (!process.env.SLACK_SIGNING_SECRET) {
+    return res.status(500).send("Missing SLACK_SIGNING_SECRET");
+  }
+
+  if (!verifySlackRequest(req, rawBody)) {
+    return res.status(401).send("Invalid signature");
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(new URLSearchParams(rawBody).get("payload") || "{}");
+  } catch (err) {
+    return res.status(400).send("Invalid payload");
+  }
+
+  if (payload.type !== "block_actions") {
+    return res.status(200).send("");
+  }
+
+  const action = (payload.actions || []).find((a) => a.action_id === PICK_DEAL_ACTION_ID);
+  if (!action) {
+    return res.status(200).send("");
+  }
+
+  // Acknowledge within 3 seconds; the resumed request runs in the background
+  res.status(200).send("");
+
+  waitUntil(
+    withTenant(payload.team?.id, () => handlePickDeal(payload, action)).catch(async (err) => {
+      console.error("[interactivity] pick deal error:", err?.message || err);
+      await postToResponseUrl(payload.response_url, `Sorry, I couldn't resume that request: ${err?.message || "unknown_error"}`, true);
+    })
+  );
+}
@@ -0,0 +1,253 @@
+import crypto from "crypto";
+import axios from "axios";
+import { redis, currentTeamId, withTenant } from "./utils.js";
+
+// ===== Background Jobs =====
+// /summary, /plan and @mentions on deals with long histories can outlast a single
+// serverless invocation. Entry points enqueue a job and return; the worker
+// (api/jobs/worker.js) runs each job as a list of stages — fetch HubSpot, fetch
+// Slack, call the model, post — saving every stage's result in Redis as it finishes.
+// A worker that runs out of time stops between stages and triggers the next worker;
+// one that is killed mid-stage loses only that stage: its lease lapses and the next
+// worker run resumes the job from the last checkpoint instead of starting over. A
+// cron (vercel.json) runs the worker every minute too, so such jobs are picked up
+// even when nothing new is queued.
+//
+// Keys (global — each job records its Slack workspace and runs inside that tenant):
+//   jobs:queue          list of job IDs waiting to run
+//   jobs:active         list of job IDs a worker has claimed
+//   jobs:<id>           hash — job (JSON { id, kind, teamId, payload, createdAt }),
+//                       stage:<name> (JSON checkpoint), attempts:<name>
+//   jobs:<id>:lease     held by the worker running the job
+//   jobs:<id>:unleased  when a worker first saw the claimed job without a lease
+//
+// A stage is { name, run(payload, results, job), minMs }: `results` holds earlier
+// stages' checkpoints by name, and the return value (JSON-serialisable) becomes this
+// stage's checkpoint. Returning { done: true } ends the job early (e.g. no deal found).
+// `job.deadline` (ms since epoch, null when the job runs inline) is when the worker's
+// time is up: stages cap their HubSpot and model timeouts and retries to it, and a
+// stage with `minMs` is left for a fresh worker when less time than that remains.
+// The post stage can run twice if a worker dies while posting.
+//
+// JOB_WORKER_URL        worker endpoint to trigger (default https://$VERCEL_URL/api/jobs/worker;
+//                       with neither set, jobs run in the invocation that enqueued them)
+// JOB_WORKER_BUDGET_MS  stop starting new stages after this long (default 45000)
+// JOB_WORKER_LIMIT_MS   when running stages must be done (default 55000 — keep it
+//                       under the worker's maxDuration in vercel.json)
+// JOB_LEASE_SECONDS     how long a silent worker keeps a job from others (default 90)
+// JOB_MAX_ATTEMPTS      runs of a failing stage before the job gives up (default 2)
+// JOB_TTL_SECONDS       how long job state is kept (default 86400)
+
+const QUEUE_KEY = "jobs:queue";
+const ACTIVE_KEY = "jobs:active";
+const KICK_TIMEOUT_MS = 3000;
+const ABANDON_GRACE_SECONDS = 10;
+
+// Time a stage needs to be worth starting (`minMs`): a model call can take its full
+// 20 s timeout (openai-qa.js), and HubSpot loads fan out with retries and backoff.
+export const MODEL_STAGE_MIN_MS = 25000;
+export const HUBSPOT_STAGE_MIN_MS = 15000;
+
+const _jobKinds = new Map(); // kind → { stages, onError }
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function jobKey(id) {
+  return `jobs:${id}`;
+}
+
+function leaseKey(id) {
+  return `jobs:${id}:lease`;
+}
+
+function unleasedKey(id) {
+  return `jobs:${id}:unleased`;
+}
+
+/** Register a job kind. `onError(payload, err, results, job)` tells the user when a
+ *  stage keeps failing. Modules define their jobs at load time. */
+export function defineJob(kind, { stages, onError = null }) {
+  _jobKinds.set(kind, { stages, onError });
+}
+
+function workerUrl() {
+  if (process.env.JOB_WORKER_URL) return process.env.JOB_WORKER_URL;
+  return process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}/api/jobs/worker` : null;
+}
+
+/** Trigger a worker invocation. Returns false when no worker endpoint is configured
+ *  or it couldn't be reached. */
+export async function kickWorker() {
+  const url = workerUrl();
+  if (!url) return false;
+  try {
+    await axios.post(url, null, {
+      headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` },
+      timeout: KICK_TIMEOUT_MS
+    });
+    return true;
+  } catch (err) {
+    console.error("[kickWorker] error:", err.message, err.response?.status);
+    return false;
+  }
+}
+
+/** Queue a job for the current workspace and get a worker going. Without a worker
+ *  endpoint the job runs here, so local development needs no extra setup. */
+export async function enqueueJob(kind, payload) {
+  if (!_jobKinds.has(kind)) throw new Error(`Unknown job kind "${kind}"`);
+  const id = crypto.randomBytes(9).toString("base64url");
+  const job = { id, kind, teamId: currentTeamId(), payload, createdAt: Date.now() };
+  await redis.hset(jobKey(id), "job", JSON.stringify(job));
+  await redis.expire(jobKey(id), envInt("JOB_TTL_SECONDS", 24 * 60 * 60));
+  await redis.lpush(QUEUE_KEY, id);
+  console.log("[enqueueJob] %s job %s queued", kind, id);
+
+  if (!(await kickWorker())) await runWorker({ onlyJobId: id });
+  return id;
+}
+
+async function finishJob(id) {
+  await redis.del(jobKey(id));
+}
+
+async function releaseLease(id, token) {
+  if ((await redis.get(leaseKey(id))) === token) await redis.del(leaseKey(id));
+}
+
+/** Run one job from its last checkpoint, starting stages until `stopAt` and finishing
+ *  them by `deadline`. → "done" | "deferred" | "retry" | "busy" | "missing" */
+async function runJob(id, { stopAt, deadline }) {
+  const token = crypto.randomBytes(6).toString("hex");
+  const leaseSeconds = envInt("JOB_LEASE_SECONDS", 90);
+  if (!(await redis.set(leaseKey(id), token, "EX", leaseSeconds, "NX"))) return "busy";
+  await redis.del(unleasedKey(id));
+
+  try {
+    const record = await redis.hgetall(jobKey(id));
+    if (!record?.job) return "missing";
+    const job = { ...JSON.parse(record.job), deadline };
+    const definition = _jobKinds.get(job.kind);
+    if (!definition) {
+      console.error("[runJob] %s: no handler for job kind %s in this function", id, job.kind);
+      return "missing";
+    }
+
+    const results = {};
+    for (const [field, value] of Object.entries(record)) {
+      if (field.startsWith("stage:")) results[field.slice("stage:".length)] = JSON.parse(value);
+    }
+
+    return await withTenant(job.teamId, async () => {
+      for (const stage of definition.stages) {
+        if (stage.name in results) continue;
+        if (Date.now() > stopAt) return "deferred";
+        if (deadline && deadline - Date.now() < (stage.minMs || 0)) return "deferred";
+        await redis.expire(leaseKey(id), leaseSeconds);
+
+        let result;
+        try {
+          console.log("[runJob] %s %s: stage %s", job.kind, id, stage.name);
+          result = (await stage.run(job.payload, results, job)) ?? null;
+        } catch (err) {
+          const attempts = await redis.hincrby(jobKey(id), `attempts:${stage.name}`, 1);
+          console.error("[runJob] %s %s: stage %s failed (attempt %d):", job.kind, id, stage.name, attempts, err?.message || err);
+          if (attempts < envInt("JOB_MAX_ATTEMPTS", 2)) return "retry";
+          // The job ends here even if telling the user fails — otherwise it would be requeued forever
+          try {
+            if (definition.onError) await definition.onError(job.payload, err, results, job);
+          } catch (onErrorErr) {
+            console.error("[runJob] %s %s: onError failed:", job.kind, id, onErrorErr?.message || onErrorErr);
+          } finally {
+            await finishJob(id);
+          }
+          return "done";
+        }
+
+        results[stage.name] = result;
+        if (result?.done) break;
+        await redis.hset(jobKey(id), `stage:${stage.name}`, JSON.stringify(result));
+      }
+      await finishJob(id);
+      return "done";
+    });
+  } finally {
+    await releaseLease(id, token);
+  }
+}
+
+/** Put claimed jobs whose worker is gone (no lease) back on the queue. A worker takes
+ *  the lease just after moving a job to jobs:active and drops it just before moving
+ *  the job off, so a job is only treated as abandoned once it has gone without a lease
+ *  for ABANDON_GRACE_SECONDS — the first sighting just starts that clock. */
+async function requeueAbandoned() {
+  const active = await redis.lrange(ACTIVE_KEY, 0, -1);
+  let requeued = 0;
+  for (const id of new Set(active)) {
+    if (await redis.get(leaseKey(id))) continue;
+    const seenAt = Number(await redis.get(unleasedKey(id)));
+    if (!seenAt) {
+      await redis.set(unleasedKey(id), String(Date.now()), "EX", envInt("JOB_LEASE_SECONDS", 90), "NX");
+      continue;
+    }
+    if (Date.now() - seenAt < ABANDON_GRACE_SECONDS * 1000) continue;
+    await redis.del(unleasedKey(id));
+    await redis.lrem(ACTIVE_KEY, 0, id);
+    if (await redis.exists(jobKey(id))) {
+      await redis.rpush(QUEUE_KEY, id);
+      requeued++;
+    }
+  }
+  if (requeued) console.log("[runWorker] requeued %d abandoned jobs", requeued);
+}
+
+/** Work through the queue until it's empty or the time budget is spent. With
+ *  `onlyJobId`, run just that job (the no-worker fallback in enqueueJob). */
+export async function runWorker({ onlyJobId = null } = {}) {
+  const startedAt = Date.now();
+  const stopAt = startedAt + envInt("JOB_WORKER_BUDGET_MS", 45000);
+  const deadline = startedAt + envInt("JOB_WORKER_LIMIT_MS", 55000);
+  const counts = {};
+  const busy = [];
+
+  if (onlyJobId) {
+    await redis.lrem(QUEUE_KEY, 1, onlyJobId);
+    let status;
+    do {
+      status = await runJob(onlyJobId, { stopAt: Infinity, deadline: null });
+    } while (status === "retry");
+    return { [status]: 1 };
+  }
+
+  await requeueAbandoned();
+  while (Date.now() < stopAt) {
+    const id = await redis.rpoplpush(QUEUE_KEY, ACTIVE_KEY);
+    if (!id) break;
+
+    let status;
+    try {
+      status = await runJob(id, { stopAt, deadline });
+    } catch (err) {
+      console.error("[runWorker] job %s error:", id, err?.message || err);
+      status = "retry";
+    }
+    counts[status] = (counts[status] || 0) + 1;
+
+    await redis.lrem(ACTIVE_KEY, 1, id);
+    await redis.del(unleasedKey(id));
+    if (status === "deferred" || status === "retry") await redis.rpush(QUEUE_KEY, id);
+    if (status === "busy") busy.push(id);
+    // Out of time for this job's next stage — leave the rest to a fresh worker
+    if (status === "deferred") break;
+  }
+
+  // Hand what's left to a fresh invocation. Jobs another worker holds go back on the
+  // queue without a kick — the cron looks at them again once that worker is done.
+  const waiting = await redis.llen(QUEUE_KEY);
+  if (busy.length) await redis.rpush(QUEUE_KEY, ...busy);
+  if (waiting > 0) await kickWorker();
+  return counts;
+}
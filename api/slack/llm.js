@@ -0,0 +1,359 @@
+import axios from "axios";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// ===== LLM Provider Layer =====
+// Every model call goes through complete(task, ...). The provider and model are
+// chosen per task so, e.g., the classifier can run on a small local model while
+// /plan uses OpenAI structured outputs.
+//
+// Tasks: classifier, qa, summary, plan
+//
+// LLM_PROVIDER / LLM_PROVIDER_<TASK>   openai (default) | azure | anthropic | local | fixture
+// LLM_MODEL / LLM_MODEL_<TASK>         model (Azure: deployment) name
+//
+// openai     OPENAI_API_KEY
+// azure      AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT (default model)
+// anthropic  ANTHROPIC_API_KEY
+// local      LLM_LOCAL_BASE_URL (default http://localhost:11434/v1 — Ollama; vLLM etc. work too),
+//            LLM_LOCAL_API_KEY (optional)
+// fixture    LLM_FIXTURES_DIR (default fixtures/llm). Replays recorded outputs with no
+//            network; set LLM_FIXTURE_RECORD=<provider> to call that provider and record.
+
+export const LLM_TASKS = ["classifier", "qa", "summary", "plan"];
+
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_TOKENS = 4096;
+const ANTHROPIC_VERSION = "2023-06-01";
+
+function taskEnv(name, task) {
+  return process.env[`${name}_${task.toUpperCase()}`] || process.env[name] || null;
+}
+
+/** Provider + model for a task. */
+export function resolveLLMConfig(task) {
+  if (!LLM_TASKS.includes(task)) throw new Error(`Unknown LLM task "${task}"`);
+  const provider = (taskEnv("LLM_PROVIDER", task) || "openai").toLowerCase();
+  const model = taskEnv("LLM_MODEL", task) || defaultModel(provider);
+  return { task, provider, model };
+}
+
+function defaultModel(provider) {
+  if (provider === "openai") return "gpt-4.1-mini";
+  if (provider === "azure") return process.env.AZURE_OPENAI_DEPLOYMENT || null;
+  return null;
+}
+
+/** Whether a task's provider has the credentials it needs — lets optional calls
+ *  (like the question classifier) skip quietly instead of failing. */
+export function isLLMConfigured(task) {
+  const { provider, model } = resolveLLMConfig(task);
+  switch (provider) {
+    case "openai":
+      return !!process.env.OPENAI_API_KEY;
+    case "azure":
+      return !!(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY && model);
+    case "anthropic":
+      return !!(process.env.ANTHROPIC_API_KEY && model);
+    case "local":
+      return !!model;
+    case "fixture":
+      return true;
+    default:
+      return false;
+  }
+}
+
+// ===== Providers =====
+// Each takes ({ model, input, schema, timeoutMs, onText }) and returns the output text.
+// With `schema` ({ name, schema }) the text is a JSON document matching it. With
+// `onText`, the Responses API providers (openai, azure) stream and call
+// onText(textSoFar) as output arrives; the others call it once with the whole text.
+
+function responsesOutputText(data) {
+  const content = (data?.output || []).flatMap((o) => o.content || []);
+  const refusal = content.find((c) => c.type === "refusal");
+  if (refusal) throw new Error(`Model refused: ${refusal.refusal}`);
+  return content
+    .filter((c) => c.type === "output_text")
+    .map((c) => c.text)
+    .join("\n")
+    .trim();
+}
+
+function responsesBody({ model, input, schema }) {
+  const body = { model, input };
+  if (schema) body.text = { format: { type: "json_schema", name: schema.name, strict: true, schema: schema.schema } };
+  return body;
+}
+
+/** POST a Responses API request, streaming (server-sent events) when `onText` is given.
+ *  `timeoutMs` bounds the whole stream, not just the wait for the first byte. */
+async function postResponses(url, { headers, body, timeoutMs, onText }) {
+  if (!onText) {
+    const resp = await axios.post(url, body, { headers, timeout: timeoutMs });
+    return responsesOutputText(resp.data);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await axios.post(url, { ...body, stream: true }, {
+      headers,
+      responseType: "stream",
+      signal: controller.signal
+    });
+    resp.data.setEncoding("utf8");
+
+    let text = "";
+    let final = null;
+    let buffer = "";
+    for await (const chunk of resp.data) {
+      buffer += chunk.replace(/\r\n/g, "\n");
+      let end;
+      while ((end = buffer.indexOf("\n\n")) !== -1) {
+        const data = buffer
+          .slice(0, end)
+          .split("\n")
+          .filter((line) => line.startsWith("data:"))
+          .map((line) => line.slice(5).trimStart())
+          .join("\n");
+        buffer = buffer.slice(end + 2);
+        if (!data || data === "[DONE]") continue;
+
+        const event = JSON.parse(data);
+        if (event.type === "response.output_text.delta") {
+          text += event.delta;
+          onText(text);
+        } else if (event.type === "response.completed" || event.type === "response.incomplete") {
+          final = event.response;
+        } else if (event.type === "response.failed") {
+          throw new Error(`Model response failed: ${event.response?.error?.message || "unknown_error"}`);
+        } else if (event.type === "error") {
+          throw new Error(`Model stream error: ${event.message || event.code || "unknown_error"}`);
+        }
+      }
+    }
+    return final ? responsesOutputText(final) : text.trim();
+  } catch (err) {
+    if (controller.signal.aborted) throw new Error(`Model stream timed out after ${timeoutMs}ms`);
+    await readErrorBody(err);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** A streamed request's error response has the body as a stream — read it and parse
+ *  it (JSON when it is, else the text) so callers see it like any other axios error. */
+async function readErrorBody(err) {
+  const data = err.response?.data;
+  if (!data || typeof data.on !== "function") return;
+  const chunks = [];
+  try {
+    for await (const chunk of data) chunks.push(Buffer.from(chunk));
+  } catch {
+    // Body cut off — keep what arrived
+  }
+  const raw = Buffer.concat(chunks).toString("utf8");
+  try {
+    err.response.data = JSON.parse(raw);
+  } catch {
+    err.response.data = raw;
+  }
+}
+
+async function openaiProvider({ model, input, schema, timeoutMs, onText }) {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) throw new Error("Missing OPENAI_API_KEY");
+  return postResponses("https://api.openai.com/v1/responses", {
+    headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" },
+    body: responsesBody({ model, input, schema }),
+    timeoutMs,
+    onText
+  });
+}
+
+async function azureProvider({ model, input, schema, timeoutMs, onText }) {
+  const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
+  const apiKey = process.env.AZURE_OPENAI_API_KEY;
+  if (!endpoint || !apiKey) throw new Error("Missing AZURE_OPENAI_ENDPOINT or AZURE_OPENAI_API_KEY");
+  if (!model) throw new Error("Missing AZURE_OPENAI_DEPLOYMENT (or LLM_MODEL) for the azure provider");
+  return postResponses(`${endpoint.replace(/\/+$/, "")}/openai/v1/responses`, {
+    headers: { "api-key": apiKey, "Content-Type": "application/json" },
+    body: responsesBody({ model, input, schema }),
+    timeoutMs,
+    onText
+  });
+}
+
+async function anthropicProvider({ model, input, schema, timeoutMs }) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) throw new Error("Missing ANTHROPIC_API_KEY");
+  if (!model) throw new Error("Missing LLM_MODEL for the anthropic provider");
+
+  const body = { model, max_tokens: DEFAULT_MAX_TOKENS, messages: [{ role: "user", content: input }] };
+  if (schema) {
+    // Structured output via a forced tool call whose input schema is the target schema
+    body.tools = [{ name: schema.name, description: "Return the result.", input_schema: schema.schema }];
+    body.tool_choice = { type: "tool", name: schema.name };
+  }
+  const resp = await axios.post("https://api.anthropic.com/v1/messages", body, {
+    headers: { "x-api-key": apiKey, "anthropic-version": ANTHROPIC_VERSION, "Content-Type": "application/json" },
+    timeout: timeoutMs
+  });
+
+  const content = resp.data?.content || [];
+  if (schema) {
+    const toolUse = content.find((c) => c.type === "tool_use");
+    if (!toolUse) throw new Error(`Anthropic response had no ${schema.name} tool call`);
+    return JSON.stringify(toolUse.input);
+  }
+  return content
+    .filter((c) => c.type === "text")
+    .map((c) => c.text)
+    .join("\n")
+    .trim();
+}
+
+async function localProvider({ model, input, schema, timeoutMs }) {
+  if (!model) throw new Error("Missing LLM_MODEL for the local provider");
+  const baseUrl = (process.env.LLM_LOCAL_BASE_URL || "http://localhost:11434/v1").replace(/\/+$/, "");
+  const body = { model, messages: [{ role: "user", content: input }], stream: false };
+  if (schema) {
+    body.response_format = { type: "json_schema", json_schema: { name: schema.name, strict: true, schema: schema.schema } };
+  }
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.LLM_LOCAL_API_KEY) headers.Authorization = `Bearer ${process.env.LLM_LOCAL_API_KEY}`;
+  const resp = await axios.post(`${baseUrl}/chat/completions`, body, { headers, timeout: timeoutMs });
+  return (resp.data?.choices?.[0]?.message?.content || "").trim();
+}
+
+// ===== Fixture Replay =====
+// Fixtures are keyed by task + a hash of the exact input (and schema name), so a
+// test run replays the same outputs deterministically:
+//   <LLM_FIXTURES_DIR>/<task>-<hash>.json   { "task", "schema", "input", "output" }
+// A <task>.json file, if present, answers any input for that task.
+
+function fixturesDir() {
+  return path.resolve(process.env.LLM_FIXTURES_DIR || "fixtures/llm");
+}
+
+export function fixtureKey(task, input, schema = null) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${task}\n${schema?.name || ""}\n${input}`)
+    .digest("hex")
+    .slice(0, 16);
+  return `${task}-${hash}`;
+}
+
+async function readFixture(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function fixtureProvider({ task, input, schema, timeoutMs }) {
+  const dir = fixturesDir();
+  const file = path.join(dir, `${fixtureKey(task, input, schema)}.json`);
+
+  const recordWith = process.env.LLM_FIXTURE_RECORD;
+  if (recordWith) {
+    const provider = PROVIDERS[recordWith];
+    if (!provider || recordWith === "fixture") throw new Error(`Invalid LLM_FIXTURE_RECORD provider "${recordWith}"`);
+    const model = taskEnv("LLM_MODEL", task) || defaultModel(recordWith);
+    const output = await provider({ task, model, input, schema, timeoutMs });
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ task, schema: schema?.name || null, input, output }, null, 2));
+    return output;
+  }
+
+  const fixture = (await readFixture(file)) || (await readFixture(path.join(dir, `${task}.json`)));
+  if (!fixture) throw new Error(`No LLM fixture for ${task} (expected ${file})`);
+  return typeof fixture.output === "string" ? fixture.output : JSON.stringify(fixture.output);
+}
+
+const STREAMING_PROVIDERS = new Set(["openai", "azure"]);
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  azure: azureProvider,
+  anthropic: anthropicProvider,
+  local: localProvider,
+  fixture: fixtureProvider
+};
+
+/** Run a prompt for `task` on its configured provider and return the output text.
+ *  Pass `schema: { name, schema }` for JSON output matching a JSON Schema, and
+ *  `onText(textSoFar)` to follow the output as it streams (it isn't awaited). */
+export async function complete(task, { input, schema = null, timeoutMs = DEFAULT_TIMEOUT_MS, onText = null }) {
+  const { provider, model } = resolveLLMConfig(task);
+  const call = PROVIDERS[provider];
+  if (!call) throw new Error(`Unknown LLM provider "${provider}" for task ${task}`);
+  const text = await call({ task, model, input, schema, timeoutMs, onText });
+  if (onText && !STREAMING_PROVIDERS.has(provider)) onText(text);
+  return text;
+}
+
+// ===== Embeddings (optional) =====
+// Used by retrieval.js to rerank keyword matches when configured.
+// LLM_EMBEDDINGS_MODEL     e.g. text-embedding-3-small (unset = keyword ranking only)
+// LLM_EMBEDDINGS_PROVIDER  openai (default) | azure | local
+
+const EMBEDDINGS_BATCH_SIZE = 128;
+
+export function isEmbeddingConfigured() {
+  return !!process.env.LLM_EMBEDDINGS_MODEL;
+}
+
+function embeddingsRequest(provider) {
+  switch (provider) {
+    case "openai":
+      if (!process.env.OPENAI_API_KEY) throw new Error("Missing OPENAI_API_KEY");
+      return {
+        url: "https://api.openai.com/v1/embeddings",
+        headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` }
+      };
+    case "azure":
+      if (!process.env.AZURE_OPENAI_ENDPOINT || !process.env.AZURE_OPENAI_API_KEY) {
+        throw new Error("Missing AZURE_OPENAI_ENDPOINT or AZURE_OPENAI_API_KEY");
+      }
+      return {
+        url: `${process.env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, "")}/openai/v1/embeddings`,
+        headers: { "api-key": process.env.AZURE_OPENAI_API_KEY }
+      };
+    case "local": {
+      const headers = {};
+      if (process.env.LLM_LOCAL_API_KEY) headers.Authorization = `Bearer ${process.env.LLM_LOCAL_API_KEY}`;
+      return { url: `${(process.env.LLM_LOCAL_BASE_URL || "http://localhost:11434/v1").replace(/\/+$/, "")}/embeddings`, headers };
+    }
+    default:
+      throw new Error(`Unsupported LLM_EMBEDDINGS_PROVIDER "${provider}"`);
+  }
+}
+
+/** Embed `texts` with the configured embeddings model; returns one vector per text. */
+export async function embed(texts, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const model = process.env.LLM_EMBEDDINGS_MODEL;
+  if (!model) throw new Error("Missing LLM_EMBEDDINGS_MODEL");
+  const { url, headers } = embeddingsRequest((process.env.LLM_EMBEDDINGS_PROVIDER || "openai").toLowerCase());
+
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBEDDINGS_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBEDDINGS_BATCH_SIZE);
+    const resp = await axios.post(
+      url,
+      { model, input: batch },
+      { headers: { ...headers, "Content-Type": "application/json" }, timeout: timeoutMs }
+    );
+    const data = [...(resp.data?.data || [])].sort((a, b) => a.index - b.index);
+    if (data.length !== batch.length) throw new Error(`Embeddings response had ${data.length} vectors for ${batch.length} inputs`);
+    vectors.push(...data.map((d) => d.embedding));
+  }
+  return vectors;
+}
@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import { getRedis, withTimeout } from "./utils.js";
+
+// ===== OAuth State (CSRF protection for HubSpot and Slack installs) =====
+// Each /oauth/start call mints a random nonce, stores it in Redis with a short
+// TTL, binds it to the browser with an HttpOnly cookie and sends
+// `<nonce>.<hmac>` as the OAuth `state`. The callback accepts the state only if
+// the signature is valid, the cookie matches, and the nonce is still in Redis —
+// the nonce is deleted on first use so a state can never be replayed.
+
+const STATE_TTL_SECONDS = 10 * 60;
+const REDIS_TIMEOUT_MS = 5000;
+
+const START_PATHS = {
+  hubspot: "/api/hubspot/oauth/start",
+  slack: "/api/slack/oauth/start"
+};
+
+function stateSecret() {
+  const secret = process.env.OAUTH_STATE_SECRET || process.env.SLACK_SIGNING_SECRET;
+  if (!secret) throw new Error("Missing OAUTH_STATE_SECRET (or SLACK_SIGNING_SECRET) for OAuth state signing");
+  return secret;
+}
+
+function sign(provider, nonce) {
+  return crypto.createHmac("sha256", stateSecret()).update(`${provider}:${nonce}`).digest("base64url");
+}
+
+function cookieName(provider) {
+  return `deco_oauth_state_${provider}`;
+}
+
+function readCookie(req, name) {
+  const header = req.headers?.cookie || "";
+  for (const part of header.split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return decodeURIComponent(v.join("="));
+  }
+  return null;
+}
+
+function stateCookie(provider, value, maxAge) {
+  return `${cookieName(provider)}=${encodeURIComponent(value)}; Max-Age=${maxAge}; Path=/api; HttpOnly; Secure; SameSite=Lax`;
+}
+
+/** Mint a single-use state for `provider`, set its browser cookie on `res` and
+ *  return the value to pass as the OAuth `state` parameter. `data` is stored
+ *  with the nonce and handed back by consumeOAuthState. */
+export async function issueOAuthState(res, provider, data = {}) {
+  const nonce = crypto.randomBytes(24).toString("base64url");
+  const redis = getRedis();
+  await withTimeout(
+    redis.set(`oauth:state:${provider}:${nonce}`, JSON.stringify(data), "EX", STATE_TTL_SECONDS),
+    REDIS_TIMEOUT_MS,
+    "Redis write timeout — could not store OAuth state. Check Redis connectivity."
+  );
+  res.setHeader("Set-Cookie", stateCookie(provider, nonce, STATE_TTL_SECONDS));
+  return `${nonce}.${sign(provider, nonce)}`;
+}
+
+/** Validate and burn the state returned to an OAuth callback.
+ *  Returns { ok: true, data } or { ok: false, reason }. Always clears the cookie. */
+export async function consumeOAuthState(req, res, provider, state) {
+  res.setHeader("Set-Cookie", stateCookie(provider, "", 0));
+
+  if (!state) return { ok: false, reason: "The request is missing its state parameter." };
+
+  const [nonce, signature] = String(state).split(".");
+  const expected = nonce ? sign(provider, nonce) : "";
+  let signatureOk = false;
+  try {
+    signatureOk = !!signature && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  } catch {
+    signatureOk = false;
+  }
+  if (!signatureOk) return { ok: false, reason: "The state parameter is not one this app issued." };
+
+  const cookieNonce = readCookie(req, cookieName(provider));
+  if (!cookieNonce || cookieNonce !== nonce) {
+    return { ok: false, reason: "The install was started in a different browser or the session cookie is missing." };
+  }
+
+  const redis = getRedis();
+  const key = `oauth:state:${provider}:${nonce}`;
+  const [[, stored]] = await withTimeout(
+    redis.multi().get(key).del(key).exec(),
+    REDIS_TIMEOUT_MS,
+    "Redis timeout — could not validate OAuth state. Check Redis connectivity."
+  );
+  if (stored == null) return { ok: false, reason: "This install link has expired or was already used." };
+
+  return { ok: true, data: JSON.parse(stored) };
+}
+
+export function sendOAuthStateError(res, provider, reason) {
+  const name = provider === "hubspot" ? "HubSpot" : "Slack";
+  return res.status(400).send(`
+      <html>
+        <body>
+          <h1>⚠️ ${name} authorization rejected</h1>
+          <p>${reason}</p>
+          <p>For your security, please <a href="${START_PATHS[provider]}">start the ${name} install again</a>.</p>
+        </body>
+      </html>
+    `);
+}
+
+// ===== HubSpot Connect Links =====
+// A HubSpot install only connects a portal to a Slack workspace when it starts from
+// a connect link: a single-use grant minted where the workspace is verified — the
+// Slack install callback or the signed /deco connect-hubspot command. The grant
+// carries the team (never taken from the query string) and whether the requester
+// may replace an existing connection (a workspace admin).
+
+const CONNECT_GRANT_TTL_SECONDS = 30 * 60;
+
+/** Mint a connect link for `teamId`. `replace` lets the install overwrite the
+ *  workspace's current portal. Returns a path, or an absolute URL when
+ *  HUBSPOT_REDIRECT_URI is set (slash command replies need one). */
+export async function issueHubSpotConnectLink({ teamId, userId = null, replace = false }) {
+  const grant = crypto.randomBytes(24).toString("base64url");
+  await withTimeout(
+    getRedis().set(`oauth:connect:hubspot:${grant}`, JSON.stringify({ teamId, userId, replace }), "EX", CONNECT_GRANT_TTL_SECONDS),
+    REDIS_TIMEOUT_MS,
+    "Redis write timeout — could not store the HubSpot connect link. Check Redis connectivity."
+  );
+  const path = `${START_PATHS.hubspot}?grant=${encodeURIComponent(grant)}`;
+  let origin = "";
+  try {
+    origin = process.env.HUBSPOT_REDIRECT_URI ? new URL(process.env.HUBSPOT_REDIRECT_URI).origin : "";
+  } catch {
+    origin = "";
+  }
+  return `${origin}${path}`;
+}
+
+/** Burn a connect grant. Returns { teamId, userId, replace } or null if it's
+ *  unknown, expired or already used. */
+export async function consumeHubSpotConnectGrant(grant) {
+  if (!grant) return null;
+  const key = `oauth:connect:hubspot:${grant}`;
+  const [[, stored]] = await withTimeout(
+    getRedis().multi().get(key).del(key).exec(),
+    REDIS_TIMEOUT_MS,
+    "Redis timeout — could not validate the HubSpot connect link. Check Redis connectivity."
+  );
+  return stored == null ? null : JSON.parse(stored);
+}
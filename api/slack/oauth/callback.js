@@ -1,5 +1,6 @@
 import axios from "axios";
-import { getRedis, withTimeout } from "../utils.js";
+import { storeSlackTokens } from "../utils.js";
+import { consumeOAuthState, sendOAuthStateError, issueHubSpotConnectLink } from "../oauth-state.js";
 
 const SLACK_TIMEOUT_MS = 10000;
 
@@ -49,23 +50,24 @@ export default async function handler(req, res) {
     }
 
     try {
-      const data = await exchangeCodeForTokens(code, redirectUri);
-
-      const accessToken = data.access_token;
-      const refreshToken = data.refresh_token;
-      const expiresIn = Number(data.expires_in ?? 43200);
-      const expiresAtMs = Date.now() + expiresIn * 1000;
+      const stateCheck = await consumeOAuthState(req, res, "slack", state);
+      if (!stateCheck.ok) {
+        console.warn("Slack OAuth callback rejected state:", stateCheck.reason);
+        return sendOAuthStateError(res, "slack", stateCheck.reason);
+      }
+    } catch (err) {
+      console.error("Slack OAuth state validation error:", err);
+      return res.status(500).send(`State validation failed: ${err.message || "unknown_error"}`);
+    }
 
-      const redis = getRedis();
-      await withTimeout(
-        Promise.all([
-          redis.set("slack:access_token", accessToken),
-          redis.set("slack:expires_at_ms", String(expiresAtMs)),
-          ...(refreshToken ? [redis.set("slack:refresh_token", refreshToken)] : []),
-        ]),
-        5000,
-        "Redis write timeout — could not store Slack tokens. Check Redis connectivity."
-      );
+    let teamId = null;
+    let connectLink = null;
+    try {
+      const data = await exchangeCodeForTokens(code, redirectUri);
+      teamId = data.team?.id || null;
+      await storeSlackTokens(teamId, data);
+      // The workspace is verified by Slack here, so this is where a connect link can be minted
+      if (teamId) connectLink = await issueHubSpotConnectLink({ teamId, userId: data.authed_user?.id || null });
     } catch (err) {
       console.error("Slack OAuth token exchange error:", err);
       return res.status(500).send(
@@ -77,7 +79,8 @@ export default async function handler(req, res) {
       <html>
         <body>
           <h1>✅ Slack App Authorized</h1>
-          <p>You can close this window. The app is now installed and tokens are stored.</p>
+          <p>The app is now installed and tokens are stored.</p>
+          ${connectLink ? `<p>Next, <a href="${connectLink}">connect this workspace to HubSpot</a> (skip if it's already connected; the link works once, for 30 minutes).</p>` : ""}
         </body>
       </html>
     `);
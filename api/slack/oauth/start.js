@@ -0,0 +1,30 @@
+import { issueOAuthState } from "../oauth-state.js";
+
+export default async function handler(req, res) {
+  const clientId = process.env.SLACK_CLIENT_ID;
+  const redirectUri = process.env.SLACK_REDIRECT_URI;
+  const scopes = process.env.SLACK_SCOPES;
+
+  if (!clientId || !redirectUri || !scopes) {
+    return res
+      .status(500)
+      .send("Missing SLACK_CLIENT_ID, SLACK_REDIRECT_URI, or SLACK_SCOPES");
+  }
+
+  let state;
+  try {
+    state = await issueOAuthState(res, "slack");
+  } catch (err) {
+    console.error("Slack OAuth start failed:", err?.message || err);
+    return res.status(500).send(`Could not start Slack install: ${err?.message || "unknown_error"}`);
+  }
+
+  const authUrl =
+    "https://slack.com/oauth/v2/authorize" +
+    `?client_id=${encodeURIComponent(clientId)}` +
+    `&redirect_uri=${encodeURIComponent(redirectUri)}` +
+    `&scope=${encodeURIComponent(scopes)}` +
+    `&state=${encodeURIComponent(state)}`;
+
+  return res.redirect(authUrl);
+}
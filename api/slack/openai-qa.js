@@ -1,41 +1,53 @@
-import axios from "axios";
+import { complete, isLLMConfigured } from "./llm.js";
+import { slackCitationId } from "./citations.js";
+import { buildBudgetedPrompt } from "./context-packer.js";
 
 const OPENAI_TIMEOUT_MS = 20000;
+const MIN_RETRY_MS = 5000;
 
-export async function callOpenAIForQA(promptText) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error("Missing OPENAI_API_KEY");
-
-  // Using Responses API (same as existing implementation)
-  const resp = await axios.post(
-    "https://api.openai.com/v1/responses",
-    {
-      model: "gpt-4.1-mini",
-      input: promptText
-    },
-    {
-      headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" },
-      timeout: OPENAI_TIMEOUT_MS
+/** `timeoutMs`, shortened so the call ends by `deadline` (ms since epoch) if one is set. */
+function timeoutBy(deadline, timeoutMs) {
+  return deadline ? Math.max(1, Math.min(timeoutMs, deadline - Date.now())) : timeoutMs;
+}
+
+/** Free-form answer for `task` ("qa" or "summary") on its configured provider (see llm.js). */
+export async function callOpenAIForQA(promptText, task = "qa", { onText = null, deadline = null } = {}) {
+  return complete(task, { input: promptText, timeoutMs: timeoutBy(deadline, OPENAI_TIMEOUT_MS), onText });
+}
+
+/** Ask for a JSON object matching `schema` (structured outputs on the task's provider).
+ *  `validate(obj)` → { ok, errors }; a response that fails to parse or validate is
+ *  retried once with the errors appended to the prompt before giving up — unless
+ *  less than MIN_RETRY_MS is left before `deadline`. */
+export async function callOpenAIStructured(promptText, { task = "plan", name, schema, validate = null, timeoutMs = OPENAI_TIMEOUT_MS, onText = null, deadline = null }) {
+  let input = promptText;
+  let lastError = null;
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    if (attempt > 1 && deadline && deadline - Date.now() < MIN_RETRY_MS) break;
+    const text = await complete(task, { input, schema: { name, schema }, timeoutMs: timeoutBy(deadline, timeoutMs), onText });
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      lastError = `response was not valid JSON (${err.message})`;
     }
-  );
-
-  // Extract text
-  const output = resp.data?.output || [];
-  const text = output
-    .flatMap((o) => o.content || [])
-    .filter((c) => c.type === "output_text")
-    .map((c) => c.text)
-    .join("\n")
-    .trim();
-
-  return text;
+    if (parsed !== undefined) {
+      const result = validate ? validate(parsed) : { ok: true, errors: [] };
+      if (result.ok) return parsed;
+      lastError = result.errors.slice(0, 10).join("; ");
+    }
+
+    console.error(`[callOpenAIStructured] ${name} attempt ${attempt} invalid:`, lastError);
+    input = `${promptText}\n\nYour previous response was rejected: ${lastError}. Return a corrected JSON object.`;
+  }
+  throw new Error(`Invalid ${name} response from model: ${lastError}`);
 }
 
 const CLASSIFY_TIMEOUT_MS = 8000;
 
 export async function classifyQuestion(question) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) return { scope: "single", keywords: [] };
+  if (!isLLMConfigured("classifier")) return { scope: "single", keywords: [] };
 
   try {
     const prompt = `You classify questions about deals. Respond with JSON only, no markdown.
@@ -59,22 +71,7 @@ Question: "${question}"
 
 Respond: {"scope": "single" or "cross-deal", "keywords": ["keyword1", "keyword2"]}`;
 
-    const resp = await axios.post(
-      "https://api.openai.com/v1/responses",
-      { model: "gpt-4.1-mini", input: prompt },
-      {
-        headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" },
-        timeout: CLASSIFY_TIMEOUT_MS
-      }
-    );
-
-    const output = resp.data?.output || [];
-    const text = output
-      .flatMap((o) => o.content || [])
-      .filter((c) => c.type === "output_text")
-      .map((c) => c.text)
-      .join("")
-      .trim();
+    const text = await complete("classifier", { input: prompt, timeoutMs: CLASSIFY_TIMEOUT_MS });
 
     // Parse JSON from response (handle potential markdown wrapping)
     const jsonStr = text.replace(/```json\s*/g, "").replace(/```\s*/g, "").trim();
@@ -89,7 +86,111 @@ Respond: {"scope": "single" or "cross-deal", "keywords": ["keyword1", "keyword2"
   }
 }
 
-export function buildQAPrompt({ question, dealData, threadContext, hubspotData, channelHistory, crossDealResults }) {
+/** Whether a plain thread reply (no @mention) is meant for DeCo rather than for the
+ *  people in the thread. `recentMessages` are the thread's last turns, oldest first.
+ *  Without a classifier model, only a question right after DeCo's answer counts. */
+export async function isAddressedToBot(reply, recentMessages = []) {
+  const last = recentMessages[recentMessages.length - 1];
+  if (!isLLMConfigured("classifier")) return !!last?.bot_id && /\?\s*$/.test(reply);
+
+  try {
+    const transcript = recentMessages
+      .slice(-6)
+      .map((m) => `${m.bot_id ? "DeCo" : m.user ? `<@${m.user}>` : "Unknown"}: ${(m.text || "").slice(0, 500)}`)
+      .join("\n");
+    const prompt = `You decide whether a Slack thread reply is addressed to DeCo, a bot that answers questions about a customer deal, or to the other people in the thread. Respond with JSON only, no markdown.
+Addressed to DeCo: follow-up questions or requests about DeCo's previous answer or the deal ("what about the install date?", "can you list the contacts?", "and the rigging?").
+Not addressed to DeCo: replies to a colleague, acknowledgements ("thanks", "got it"), status updates, opinions, or anything naming another person as the recipient.
+
+Thread so far (oldest first):
+${transcript}
+
+New reply: "${reply}"
+
+Respond: {"addressed_to_bot": true or false}`;
+
+    const text = await complete("classifier", { input: prompt, timeoutMs: CLASSIFY_TIMEOUT_MS });
+    const jsonStr = text.replace(/```json\s*/g, "").replace(/```\s*/g, "").trim();
+    return JSON.parse(jsonStr).addressed_to_bot === true;
+  } catch (err) {
+    // Staying quiet is the safer mistake in a human conversation
+    console.error("[isAddressedToBot] error:", err.message);
+    return false;
+  }
+}
+
+/** One channel message as a prompt line: `[S-id] [date] <@user>: text`, including
+ *  attachment and block text (Rocketlane forms, rich bot messages). */
+export function formatChannelMessageForPrompt(msg) {
+  const user = msg.user ? `<@${msg.user}>` : (msg.username || "Bot");
+  let text = msg.text || "";
+  const ts = msg.ts ? new Date(Number(msg.ts) * 1000).toISOString().split("T")[0] : "";
+
+  // Include attachment text (Rocketlane forms, rich messages, etc.)
+  if (msg.attachments && msg.attachments.length > 0) {
+    const attText = msg.attachments
+      .map((att) => {
+        // Direct text on the attachment (standard rich messages)
+        if (att.text) return att.text;
+        // Nested blocks inside the attachment (Rocketlane forms store Q&A here)
+        if (att.blocks && att.blocks.length > 0) {
+          return att.blocks
+            .map((block) => {
+              if (block.elements) {
+                return block.elements
+                  .filter((el) => el.type === "mrkdwn" || el.type === "plain_text")
+                  .map((el) => el.text)
+                  .filter(Boolean)
+                  .join("\n");
+              }
+              if (block.text?.text) return block.text.text;
+              if (block.fields) return block.fields.map((f) => f.text).filter(Boolean).join(" | ");
+              return "";
+            })
+            .filter(Boolean)
+            .join("\n");
+        }
+        return att.fallback || "";
+      })
+      .filter(Boolean)
+      .join("\n");
+    if (attText) text += "\n" + attText;
+  }
+
+  // Include block text (some bots use blocks instead of attachments)
+  if (msg.blocks && msg.blocks.length > 0) {
+    const blockText = msg.blocks
+      .map((block) => {
+        if (block.text?.text) return block.text.text;
+        if (block.fields) return block.fields.map((f) => f.text).filter(Boolean).join(" | ");
+        return "";
+      })
+      .filter(Boolean)
+      .join("\n");
+    if (blockText && !text.includes(blockText)) text += "\n" + blockText;
+  }
+
+  const citation = msg.ts ? `[${slackCitationId(msg.ts)}] ` : "";
+  return `${citation}[${ts}] ${user}: ${text}`;
+}
+
+/** Channel messages as prompt items (same shape as buildTimelineItems), keeping
+ *  the input order — channel history is newest-first. */
+export function buildChannelItems(messages) {
+  return (messages || []).map((msg) => {
+    const text = formatChannelMessageForPrompt(msg);
+    const split = text.indexOf(": ");
+    return {
+      timestamp: msg.ts ? Number(msg.ts) * 1000 : null,
+      header: text.slice(0, split),
+      body: text.slice(split + 2),
+      text,
+      brief: text.split("\n")[0]
+    };
+  });
+}
+
+export function buildQAPrompt({ question, dealData, threadContext, hubspotData, channelItems = [], relevantItems = [], crossDealResults }) {
   const {
     dealName,
     hubspotDealUrl,
@@ -105,83 +206,22 @@ export function buildQAPrompt({ question, dealData, threadContext, hubspotData,
     dealStage,
     pipelineName,
     description,
+    customFieldLines,
     lineItems,
-    timeline
+    timelineItems
   } = hubspotData;
 
-  // Format channel history
-  let channelHistoryText = "No channel history available.";
-  if (channelHistory && channelHistory.length > 0) {
-    channelHistoryText = channelHistory
-      .slice(0, 50)
-      .map((msg) => {
-        const user = msg.user ? `<@${msg.user}>` : (msg.username || "Bot");
-        let text = msg.text || "";
-        const ts = msg.ts ? new Date(Number(msg.ts) * 1000).toISOString().split("T")[0] : "";
-
-        // Include attachment text (Rocketlane forms, rich messages, etc.)
-        if (msg.attachments && msg.attachments.length > 0) {
-          const attText = msg.attachments
-            .map((att) => {
-              // Direct text on the attachment (standard rich messages)
-              if (att.text) return att.text;
-              // Nested blocks inside the attachment (Rocketlane forms store Q&A here)
-              if (att.blocks && att.blocks.length > 0) {
-                return att.blocks
-                  .map((block) => {
-                    if (block.elements) {
-                      return block.elements
-                        .filter((el) => el.type === "mrkdwn" || el.type === "plain_text")
-                        .map((el) => el.text)
-                        .filter(Boolean)
-                        .join("\n");
-                    }
-                    if (block.text?.text) return block.text.text;
-                    if (block.fields) return block.fields.map((f) => f.text).filter(Boolean).join(" | ");
-                    return "";
-                  })
-                  .filter(Boolean)
-                  .join("\n");
-              }
-              return att.fallback || "";
-            })
-            .filter(Boolean)
-            .join("\n");
-          if (attText) text += "\n" + attText;
-        }
-
-        // Include block text (some bots use blocks instead of attachments)
-        if (msg.blocks && msg.blocks.length > 0) {
-          const blockText = msg.blocks
-            .map((block) => {
-              if (block.text?.text) return block.text.text;
-              if (block.fields) return block.fields.map((f) => f.text).filter(Boolean).join(" | ");
-              return "";
-            })
-            .filter(Boolean)
-            .join("\n");
-          if (blockText && !text.includes(blockText)) text += "\n" + blockText;
-        }
-
-        return `[${ts}] ${user}: ${text}`;
-      })
-      .join("\n");
-  }
+  // Thread turns, newest first for packing; rendered oldest first
+  const threadItems = (threadContext?.messages || [])
+    .map((msg) => {
+      const user = msg.user ? `<@${msg.user}>` : (msg.bot_id ? "Bot" : "Unknown");
+      return { timestamp: msg.ts ? Number(msg.ts) * 1000 : null, text: `${user}: ${msg.text || ""}` };
+    })
+    .reverse();
 
-  // Format thread context
-  let threadContextText = "";
-  if (threadContext && threadContext.messages && threadContext.messages.length > 0) {
-    threadContextText = "\n\nThread conversation history:\n" +
-      threadContext.messages
-        .map((msg) => {
-          const user = msg.user ? `<@${msg.user}>` : (msg.bot_id ? "Bot" : "Unknown");
-          const text = msg.text || "";
-          return `${user}: ${text}`;
-        })
-        .join("\n");
-  }
+  const threadSummary = threadContext?.summary || null;
 
-  const prompt = `You are a deal context assistant for post-sales teams (Deployments, Customer Success, and Training). These teams take over after Sales closes a deal and need to understand deal history, customer context, and any risks.
+  const render = ({ relevant, timeline, channelHistoryText, threadContextText }) => `You are a deal context assistant for post-sales teams (Deployments, Customer Success, and Training). These teams take over after Sales closes a deal and need to understand deal history, customer context, and any risks.
 
 You have access to HubSpot CRM data (emails, calls, meetings, notes) and Slack channel history for this deal.
 
@@ -201,12 +241,13 @@ HubSpot Deal Information:
 - Contacts: ${contactsLine || "Not found in HubSpot records"}
 - Companies: ${companyLine || "Not found in HubSpot records"}
 ${description ? `- Description: ${description}` : ""}
+${customFieldLines || ""}
 ${lineItems ? `- Products/Line Items:\n${lineItems}` : ""}
-${timeline ? `\nDeal Activity Timeline (most recent first):\n${timeline}` : ""}
+${timeline ? `\nDeal Activity Timeline (most recent first):\n${timeline}` : ""}${relevant ? `\n\nOlder Activity and Messages Relevant to the Question (best match first):\n${relevant}` : ""}
 
 Slack Channel History (recent messages):
 ${channelHistoryText}
-${threadContextText}
+${threadSummary ? `\n\nEarlier in this thread (summary):\n${threadSummary}` : ""}${threadContextText ? `\n\nThread conversation history:\n${threadContextText}` : ""}
 ${crossDealResults ? `
 Cross-Deal Search Results (deal metadata only — full activity histories are not available for these deals):
 ${crossDealResults}
@@ -230,12 +271,22 @@ Rules:
 - Thread conversation history is useful for understanding follow-up context within the current conversation with DeCo.
 - When asked about customer temperament, deal history, holdups, or risks, draw from the full activity timeline — not just the most recent entry.
 - If data is missing from both sources, say "Not found in HubSpot records or channel history."
-- Use conversational tone. Reference sources when helpful (e.g., "Based on an email from Jan 15..." or "In the channel discussion...").
+- Use conversational tone.
+- CITATIONS: Each timeline entry and channel message starts with a source ID in brackets (e.g. [E-1k3z9], [S-q8x2m1]). After every factual claim that comes from a specific entry, cite its ID in brackets exactly as shown — e.g. "Install moved to March 3 [E-1k3z9]." Cite several as [E-1k3z9, S-q8x2m1]. Only cite IDs that appear above; don't cite deal properties or cross-deal results, and don't add a sources list yourself.
 - Do not invent facts. Only use information provided above.
 - Reference previous thread messages if relevant to the question.
 - If the question is clearly unrelated to the deal, customer, or business context (e.g., sports, pop culture, personal questions), respond with a brief, witty one-liner that playfully redirects back to the deal. Keep it to one sentence. Have fun with it — you're talking to coworkers, not writing a legal brief.
 
 Answer the question:`;
 
-  return prompt;
+  return buildBudgetedPrompt({
+    task: "qa",
+    sections: [
+      { name: "timeline", items: timelineItems || [], weight: 3, noun: "activities", maxItemTokens: 300 },
+      { name: "relevant", items: relevantItems, weight: 3, noun: "excerpts", maxItemTokens: 400 },
+      { name: "channelHistoryText", items: channelItems, weight: 2, noun: "channel messages", maxItemTokens: 400, empty: "No channel history available." },
+      { name: "threadContextText", items: threadItems, weight: 1, noun: "thread messages", chronological: true }
+    ],
+    render
+  });
 }
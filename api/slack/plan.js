@@ -1,97 +1,71 @@
-import axios from "axios";
 import { waitUntil } from "@vercel/functions";
 import {
   verifySlackRequest,
   readRawBody,
-  getSlackChannelName,
   slackPost,
-  channelNameToDealQuery,
-  getHubSpotAccessToken,
-  hubspotClient,
-  findBestDeal,
-  getDealAssociations,
-  batchRead,
-  resolveOwnerName,
-  daysBetweenISO,
+  postToResponseUrl,
+  withTenant,
+  claimSlackDelivery,
+  confirmSlackDelivery,
+  releaseSlackDelivery,
   getExtendedChannelHistory,
   isBotMessage,
   isRocketlaneMessage
 } from "./utils.js";
+import { buildTimelineItems } from "./hubspot-data.js";
+import { loadDealContext, dealContextSnapshot } from "./deal-context.js";
+import { callOpenAIStructured, buildChannelItems } from "./openai-qa.js";
+import { buildBudgetedPrompt } from "./context-packer.js";
 import {
-  fetchDealEmails,
-  fetchDealCalls,
-  fetchDealMeetings,
-  fetchDealNotes,
-  fetchDealLineItems,
-  formatTimelineForPrompt,
-  formatLineItemsForPrompt
-} from "./hubspot-data.js";
-import { callOpenAIForQA } from "./openai-qa.js";
-
-// Vercel Hobby plan has a 10s function timeout
-const VERCEL_TIMEOUT_WARNING_MS = 8000;
-
-async function postToResponseUrl(responseUrl, text, replaceOriginal = false) {
-  if (!responseUrl) return;
-  try {
-    await axios.post(
-      responseUrl,
-      { text, replace_original: replaceOriginal },
-      { headers: { "Content-Type": "application/json" }, timeout: 15000 }
-    );
-  } catch (e) {
-    console.error("postToResponseUrl failed:", e.message, e.response?.status);
-  }
-}
-
-function buildDeploymentPlanPrompt({ dealName, hubspotDealUrl, ownerLine, csmLine, created, closed, cycleDays, contactsLine, companyLine, amount, dealType, dealStage, pipelineName, description, productDescription, isTrial, lineItems, timeline, channelHistoryText }) {
-  const instructions = `
+  DEPLOYMENT_PLAN_SCHEMA,
+  validateDeploymentPlan,
+  renderDeploymentPlan,
+  comparePlan,
+  recordPlan,
+  renderPlanDiff
+} from "./deployment-plan.js";
+import { parkPendingRequest, buildDealPickerBlocks } from "./deal-picker.js";
+import { renderReportMessages, postReport } from "./blocks.js";
+import { defineJob, enqueueJob, MODEL_STAGE_MIN_MS, HUBSPOT_STAGE_MIN_MS } from "./jobs.js";
+import { trackReportThread } from "./conversation-store.js";
+import {
+  startProgress,
+  updateProgress,
+  clearProgress,
+  streamToProgress,
+  describeActivity
+} from "./progress.js";
+
+function buildDeploymentPlanPrompt({ dealName, hubspotDealUrl, ownerLine, csmLine, created, closed, cycleDays, contactsLine, companyLine, amount, dealType, dealStage, pipelineName, description, productDescription, isTrial, customFieldLines, lineItems, timelineItems, channelMessages }) {
+  const render = ({ timeline, channelHistoryText }) => `
 You are generating a deployment plan summary for a post-sales team (Deployments, Customer Success, Training). Extract specific deployment details from the HubSpot deal data and Slack channel history below. Be concise — omit filler, avoid restating obvious facts, and do not repeat information across sections.
 
 Deal: "${dealName}"
 Deal link: ${hubspotDealUrl}
 
 OUTPUT FORMAT:
-Use Slack mrkdwn formatting (*bold* for section headers and field labels). Only include sections where you found actual data — do NOT output sections with "TBD", "Not found", or "Unknown". Omit the section entirely if the data isn't available. Keep each section tight — 1-2 lines per bullet where possible.
-
-*Deployment Plan: ${dealName}*
-${hubspotDealUrl}
-
-*Where Things Stand*
-2-3 sentences max. What's confirmed, what's proposed, what's still open. Read like a quick briefing.
-
-*What Was Sold*
-- *Product:* [use the Product field below as ground truth — e.g. "130kV Neptune"]
-- *Deal Type:* [new business / renewal / etc.]${isTrial ? `\n- *Trial:* ${isTrial}` : ""}
-
-*Rigging & Uncrating*
-- *Date:* [date]
-- *Performed by:* [who — if Lumafield-arranged, note that costs are passed to the customer]
-- *Notes:* [crate storage/return decision only if unresolved; omit if nothing outstanding]
-
-*Install Details*
-- *Status:* Confirmed / Proposed (pending customer confirmation)
-- *Install Date(s):* [date(s)]
-- *FSE:* [name]
-- *Location:* [facility name + full address — use Rocketlane Facility Info form as primary source]
-- *Compute Type:* [Cloud / GovCloud / On Prem / Air Gapped — deduce from emails if not explicit]
-- *Calibration:* [Fast Cal/Cal2 or Cal 3 — Cal 3 is for metrology/GD&T; omit if not mentioned]
-
-*Training*
-- *Status:* Confirmed / Proposed (pending customer confirmation)
-- *Training Date(s):* [date(s)]
-- *Enablement Engineer:* [name]
-- *Others Attending Onsite:* [only if mentioned]
-
-*Team*
-- *Sales Owner:* ${ownerLine}
-- *CSM:* [name — see CSM rule below] — Scoping call: [Scheduled for X / Not yet scheduled]
-
-*Pending & Open Items*
-Short bullets only — items explicitly unconfirmed or awaiting action.
-
-*Notable Context*
-Only include things that would genuinely surprise or matter to someone walking into this deployment cold — unusual deal circumstances, discrepancies between what was signed and what's now expected, special IT/power/access requirements, or other non-obvious context. Do NOT include: standard facility specs (assume the facility is suitable if we're installing there), forklift/loading dock details (covered in Rigging), or items already listed in Pending & Open Items.
+Return a single JSON object matching the deployment_plan schema. We render it to Slack ourselves, so do not use mrkdwn inside values. Keep values tight — a few words or one short sentence each.
+
+Field semantics:
+- where_things_stand: 2-3 sentences max. What's confirmed, what's proposed, what's still open. Read like a quick briefing.
+- sold.product: use the Product field below as ground truth — e.g. "130kV Neptune".
+- sold.deal_type: new business / renewal / etc.
+- sold.trial: ${isTrial ? `"${isTrial}"` : "null unless the data says otherwise"}.
+- rigging.performed_by: who rigs/uncrates — if Lumafield-arranged, note that costs are passed to the customer.
+- rigging.notes: crate storage/return decision only if unresolved; otherwise null.
+- install.status / training.status: "Confirmed", "Proposed" (pending customer confirmation) or "Not scheduled"; null if there is no data at all.
+- install.location: facility name + full address — use the Rocketlane Facility Info form as primary source.
+- install.compute_type: Cloud / GovCloud / On Prem / Air Gapped — deduce from emails if not explicit.
+- install.calibration: Fast Cal/Cal2 or Cal 3 — Cal 3 is for metrology/GD&T; null if not mentioned.
+- training.others_attending: only if mentioned.
+- team.csm: see CSM rule below. team.scoping_call: "Scheduled for <date>" / "Not yet scheduled".
+- open_items: short items explicitly unconfirmed or awaiting action.
+- notable_context: only things that would genuinely surprise or matter to someone walking into this deployment cold — unusual deal circumstances, discrepancies between what was signed and what's now expected, special IT/power/access requirements, or other non-obvious context. Do NOT include standard facility specs, forklift/loading dock details (covered in rigging), or items already in open_items.
+
+For every field:
+- value: null when the data doesn't mention it — never "TBD", "Not found" or "Unknown".
+- confidence: "high" when stated explicitly and not contradicted later, "medium" when deduced or only proposed, "low" when sources conflict or the evidence is thin.
+- sources: where the value came from — type (hubspot_property, email, call, meeting, note, slack, rocketlane_form), date (YYYY-MM-DD, or null) and a short reference (email subject, Slack author + gist, or property name). Empty array only when value is null.
 
 DATA EXTRACTION RULES:
 - Read the FULL email timeline — scheduling evolves over 20-30+ emails. The most recent confirmed schedule supersedes earlier proposals.
@@ -114,10 +88,10 @@ HubSpot Deal Data:
 - Deal: ${dealName}
 - Sales Owner: ${ownerLine}
 - CSM: ${csmLine}
-- Product: ${productDescription || "See line items below"}
-- Trial: ${isTrial || "Not specified"}
+${customFieldLines}
 - Deal Type: ${dealType || "Not available"}
 - Deal Stage: ${dealStage || "Not available"}
+- Pipeline: ${pipelineName || "Not available"}
 - Created: ${created || "Not available"}
 - Closed: ${closed || "Not available"}${cycleDays != null ? ` (${cycleDays}-day cycle)` : ""}
 - Company: ${companyLine || "Not available"}
@@ -126,13 +100,199 @@ ${description ? `- Description: ${description}` : ""}
 ${lineItems ? `- Products/Line Items:\n${lineItems}` : ""}
 
 HubSpot Activity Timeline (most recent first):
-${timeline || "No activity found."}
+${timeline}
 
 Slack Channel History:
-${channelHistoryText || "No channel history available."}
+${channelHistoryText}
 `.trim();
 
-  return instructions;
+  return buildBudgetedPrompt({
+    task: "plan",
+    sections: [
+      { name: "timeline", items: timelineItems, weight: 3, noun: "activities", maxItemTokens: 800, empty: "No activity found." },
+      // Rocketlane form posts run long and carry the facility details — don't cut them short
+      { name: "channelHistoryText", items: buildChannelItems(channelMessages), weight: 2, noun: "channel messages", maxItemTokens: 1500, empty: "No channel history available." }
+    ],
+    render
+  });
+}
+
+/** Recent channel messages for the plan prompt, newest first. Rocketlane form posts
+ *  are kept (they carry the facility info); other bot traffic is dropped. */
+export async function fetchPlanChannelHistory(channel_id) {
+  const rawChannelHistory = await getExtendedChannelHistory(channel_id, 200).catch((err) => {
+    console.error("[/plan] error fetching extended channel history:", err.message);
+    return [];
+  });
+
+  return rawChannelHistory.filter((msg) => {
+    if (isBotMessage(msg) && !isRocketlaneMessage(msg)) return false;
+    if (msg.subtype && !isBotMessage(msg)) return false;
+    return !!msg.text;
+  });
+}
+
+/** Have the model fill in the plan schema from a deal context (see deal-context.js)
+ *  and the channel's messages. Shared by /plan and the scheduled refresh
+ *  (api/cron/refresh-plans.js). `onText` follows the model output as it streams. */
+export async function generatePlanForDeal(ctx, channelMessages, { onText = null, deadline = null } = {}) {
+  const { dealName, hubspotDealUrl, ownerLine } = ctx;
+  const { emails, calls, meetings, notes } = ctx.activity;
+  const prompt = buildDeploymentPlanPrompt({
+    ...ctx,
+    timelineItems: buildTimelineItems(emails, calls, meetings, notes),
+    channelMessages
+  });
+
+  const plan = await callOpenAIStructured(prompt, {
+    name: "deployment_plan",
+    schema: DEPLOYMENT_PLAN_SCHEMA,
+    validate: validateDeploymentPlan,
+    onText,
+    deadline
+  });
+  const planText = renderDeploymentPlan(plan, { dealName, hubspotDealUrl, ownerLine });
+
+  return { plan, planText };
+}
+
+// ===== Plan Job =====
+// /plan runs as a background job (jobs.js): post a placeholder, load the deal from
+// HubSpot, read the channel's Slack history, have the model fill in the plan, post it
+// in the placeholder's place. Each stage's result is checkpointed, so a long history
+// doesn't have to be fetched twice.
+
+/** Stage 1: the placeholder the job keeps up to date (progress.js). */
+async function startPlanProgress({ channel_id }) {
+  return { progressTs: await startProgress(channel_id, "Preparing a deployment plan — looking up this channel's deal…") };
+}
+
+/** Stage 2: resolve the deal and load its HubSpot data, or tell the user why not. */
+async function loadPlanDeal({ channel_id, user_id, response_url, pickedDealId = null, pickedBy = null }, { start }, job) {
+  const { progressTs } = start;
+  const ctx = await loadDealContext(channel_id, {
+    pickedDealId,
+    pickedBy,
+    deadline: job.deadline,
+    onDealFound: (deal) =>
+      updateProgress(channel_id, progressTs, `Found *${deal.properties?.dealname || deal.id}* — reading its HubSpot activity…`)
+  });
+  const { hs, deal, dealQuery } = ctx;
+  if (!deal) await clearProgress(channel_id, progressTs);
+  if (!deal && ctx.candidates) {
+    // Several deals match — park the request and let the user pick
+    const pendingId = await parkPendingRequest({ kind: "plan", channel_id, user_id, response_url });
+    const blocks = await buildDealPickerBlocks(hs, pendingId, ctx.candidates, dealQuery);
+    await postToResponseUrl(response_url, `Several HubSpot deals match "${dealQuery}" — pick one to continue.`, true, blocks);
+    return { done: true };
+  }
+  if (!deal) {
+    await postToResponseUrl(
+      response_url,
+      `No HubSpot deal found matching "${dealQuery}". Use \`/deco link <deal ID or HubSpot URL>\` to link this channel to a deal.`,
+      true
+    );
+    return { done: true };
+  }
+  return dealContextSnapshot(ctx);
+}
+
+/** Stage 3: the channel's extended Slack history. */
+async function loadPlanChannelHistory({ channel_id }, { start, hubspot: ctx }) {
+  await updateProgress(
+    channel_id,
+    start.progressTs,
+    `Read ${describeActivity(ctx.activity)} for *${ctx.dealName}* — reading this channel's history…`
+  );
+  return { channelMessages: await fetchPlanChannelHistory(channel_id) };
+}
+
+/** Stage 4: have the model fill in the plan. The plan is JSON, so the placeholder
+ *  shows how much has been written rather than the draft itself. */
+async function writePlan({ channel_id }, { start, hubspot: ctx, slack }, job) {
+  const { channelMessages } = slack;
+  const status =
+    `Read ${describeActivity(ctx.activity)} and ${channelMessages.length} Slack message${channelMessages.length === 1 ? "" : "s"} ` +
+    `for *${ctx.dealName}* — drafting the plan…`;
+  await updateProgress(channel_id, start.progressTs, status);
+  const progress = streamToProgress(channel_id, start.progressTs, (text) => `${status} (${text.length} characters so far)`);
+  try {
+    return await generatePlanForDeal(ctx, channelMessages, { onText: progress.onText, deadline: job.deadline });
+  } finally {
+    await progress.stop();
+  }
+}
+
+/** Stage 5: post the plan in the placeholder's place (and what changed since the
+ *  last one), then record it and confirm to the user. */
+async function postPlan({ channel_id, user_id, response_url, pickedBy = null }, { start, hubspot: ctx, model }) {
+  const { channelName, dealId, dealName, dealReason, portalId, hubspotDealUrl, partialNote } = ctx;
+  const { plan, planText } = model;
+
+  const { previous, changes } = await comparePlan(portalId, dealId, plan);
+
+  const messages = renderReportMessages(planText, {
+    title: `Deployment Plan: ${dealName}`,
+    hubspotDealUrl,
+    footer: [`Generated by DeCo from HubSpot and Slack · *${dealName}* — ${dealReason}`, partialNote]
+      .filter(Boolean)
+      .join("\n")
+  });
+  const report = await postReport(channel_id, messages, { replace_ts: start.progressTs, fallbackText: planText });
+  await trackReportThread(channel_id, report, planText, { dealId });
+
+  // On re-runs, follow up with a field-level "what changed" summary
+  let changeNote = "";
+  if (previous) {
+    const diffText = renderPlanDiff(changes, { dealName, previousGeneratedAt: previous.generatedAt });
+    if (diffText) {
+      await slackPost(channel_id, diffText);
+      changeNote = ` ${changes.length} change${changes.length === 1 ? "" : "s"} since the last plan.`;
+    } else {
+      changeNote = " No changes since the last plan.";
+    }
+  }
+
+  // Only now does this plan become the one later runs diff against
+  await recordPlan(portalId, dealId, plan, { dealName, channel_id, generatedBy: user_id || pickedBy || null });
+  await postToResponseUrl(response_url, `Posted deployment plan to #${channelName} for *${dealName}* (${dealReason}).${changeNote}`, true);
+}
+
+async function reportPlanError({ channel_id, response_url }, err, { start } = {}) {
+  console.error("/plan error:", err?.message || err, err?.code);
+  await clearProgress(channel_id, start?.progressTs);
+  // Only a parsed JSON body is worth showing; anything else (a stream, HTML) falls back to the message
+  const data = err?.response?.data;
+  let msg = data && Object.getPrototypeOf(data) === Object.prototype ? JSON.stringify(data) : (err?.message || "unknown_error");
+  if (err?.code === "ETIMEDOUT" || msg.includes("ETIMEDOUT")) {
+    msg = "Redis connection timed out. Check Vercel logs and Redis connectivity.";
+  }
+  if (response_url) {
+    await postToResponseUrl(response_url, `Deployment plan failed: ${msg}`, true);
+  } else {
+    try {
+      await slackPost(channel_id, `Deployment plan failed: ${msg}`);
+    } catch (e) {
+      console.error("slackPost error:", e.message);
+    }
+  }
+}
+
+defineJob("plan", {
+  stages: [
+    { name: "start", run: startPlanProgress },
+    { name: "hubspot", run: loadPlanDeal, minMs: HUBSPOT_STAGE_MIN_MS },
+    { name: "slack", run: loadPlanChannelHistory },
+    { name: "model", run: writePlan, minMs: MODEL_STAGE_MIN_MS },
+    { name: "post", run: postPlan }
+  ],
+  onError: reportPlanError
+});
+
+/** Queue the deployment plan for a channel. Called by the slash command and, once the
+ *  user picks a deal from the disambiguation prompt, by interactivity.js. */
+export function runPlan({ channel_id, user_id, response_url, pickedDealId = null, pickedBy = null }) {
+  return enqueueJob("plan", { channel_id, user_id, response_url, pickedDealId, pickedBy });
 }
 
 export default async function handler(req, res) {
@@ -149,229 +309,37 @@ export default async function handler(req, res) {
   }
 
   const payload = Object.fromEntries(new URLSearchParams(rawBody));
+
+  // A repeated invocation (same trigger_id) is acknowledged without running again
+  if (!(await withTenant(payload.team_id, () => claimSlackDelivery("command", payload.trigger_id)))) {
+    console.log("[/plan] duplicate invocation trigger_id=%s, ignoring", payload.trigger_id);
+    return res.status(200).send("");
+  }
+
   const channel_id = payload.channel_id;
   const response_url = payload.response_url;
+  const user_id = payload.user_id;
 
   // Respond within 3 seconds or Slack shows "operation_timeout"
   res.status(200).json({
     response_type: "ephemeral",
-    text: "Generating deployment plan... (this may take a moment)"
+    text: "Generating deployment plan... follow its progress in the channel."
   });
 
-  let planFinished = false;
-  const timeoutWarning = setTimeout(async () => {
-    if (!planFinished && response_url) {
-      console.warn("[/plan] approaching Vercel timeout, posting warning");
-      await postToResponseUrl(
-        response_url,
-        "Still generating the deployment plan, but it's taking longer than expected. " +
-        "If you don't see a response shortly, the Vercel function may have timed out (10s limit on Hobby plan). " +
-        "Try running /plan again.",
-        false
-      );
-    }
-  }, VERCEL_TIMEOUT_WARNING_MS);
-
+  // Queue the job (the worker does the rest); waitUntil keeps the function alive until it's
+  // queued. The invocation stays claimed once queued, and is released if queueing fails.
   waitUntil(
-    (async () => {
+    withTenant(payload.team_id, async () => {
       try {
-        // ── Phase 1: Channel name + HubSpot token + extended Slack history (parallel) ──
-        const [channelName, accessToken, rawChannelHistory] = await Promise.all([
-          getSlackChannelName(channel_id),
-          getHubSpotAccessToken(),
-          getExtendedChannelHistory(channel_id, 200).catch((err) => {
-            console.error("[/plan] error fetching extended channel history:", err.message);
-            return [];
-          })
-        ]);
-
-        const dealQuery = channelNameToDealQuery(channelName);
-        const hs = hubspotClient(accessToken);
-
-        // Filter channel history: keep Rocketlane bot messages, exclude other bots
-        const channelHistory = rawChannelHistory.filter((msg) => {
-          if (isBotMessage(msg) && !isRocketlaneMessage(msg)) return false;
-          if (msg.subtype && !isBotMessage(msg)) return false;
-          return !!msg.text;
-        });
-
-        // Format channel history for prompt — extract nested attachment blocks (Rocketlane forms)
-        let channelHistoryText = "No channel history available.";
-        if (channelHistory.length > 0) {
-          channelHistoryText = channelHistory
-            .map((msg) => {
-              const user = msg.user ? `<@${msg.user}>` : (msg.username || "Bot");
-              let text = msg.text || "";
-              const ts = msg.ts ? new Date(Number(msg.ts) * 1000).toISOString().split("T")[0] : "";
-
-              if (msg.attachments?.length > 0) {
-                const attText = msg.attachments
-                  .map((att) => {
-                    if (att.text) return att.text;
-                    if (att.blocks?.length > 0) {
-                      return att.blocks
-                        .map((block) => {
-                          if (block.elements) {
-                            return block.elements
-                              .filter((el) => el.type === "mrkdwn" || el.type === "plain_text")
-                              .map((el) => el.text)
-                              .filter(Boolean)
-                              .join("\n");
-                          }
-                          return block.text?.text || "";
-                        })
-                        .filter(Boolean)
-                        .join("\n");
-                    }
-                    return att.fallback || "";
-                  })
-                  .filter(Boolean)
-                  .join("\n");
-                if (attText) text += "\n" + attText;
-              }
-
-              return `[${ts}] ${user}: ${text}`;
-            })
-            .join("\n");
-        }
-
-        // ── Phase 2: Find deal ──
-        const deal = await findBestDeal(hs, dealQuery);
-        if (!deal) {
-          await postToResponseUrl(response_url, `No HubSpot deal found matching "${dealQuery}".`, true);
-          return;
-        }
-
-        const dealId = deal.id;
-        const dealName = deal.properties?.dealname || dealQuery;
-        const created = deal.properties?.createdate || null;
-        const closed = deal.properties?.closedate || null;
-        const cycleDays = daysBetweenISO(created, closed);
-        const ownerId = deal.properties?.hubspot_owner_id || null;
-
-        const portalId = process.env.HUBSPOT_PORTAL_ID;
-        const hubspotDealUrl = portalId
-          ? `https://app.hubspot.com/contacts/${portalId}/record/0-3/${dealId}`
-          : `(HUBSPOT_PORTAL_ID env var not set — cannot generate deal link)`;
-
-        // ── Phase 3: All HubSpot data fetches in parallel ──
-        const [ownerName, associations, emails, calls, meetings, notes, lineItemsRaw] = await Promise.all([
-          resolveOwnerName(hs, ownerId),
-          getDealAssociations(hs, dealId),
-          fetchDealEmails(hs, dealId),
-          fetchDealCalls(hs, dealId),
-          fetchDealMeetings(hs, dealId),
-          fetchDealNotes(hs, dealId),
-          fetchDealLineItems(hs, dealId)
-        ]);
-
-        // Phase 3b: Contacts + companies (depends on associations)
-        const { contactIds, companyIds } = associations;
-        const [contacts, companies] = await Promise.all([
-          batchRead(hs, "contacts", contactIds, ["firstname", "lastname", "jobtitle", "email"]),
-          batchRead(hs, "companies", companyIds, ["name", "domain", "csm"])
-        ]);
-
-        // Resolve CSM from company record (owner ID → name)
-        const csmOwnerId = companies.length ? companies[0]?.properties?.csm : null;
-        const csmName = csmOwnerId ? await resolveOwnerName(hs, csmOwnerId) : null;
-        const csmLine = csmName
-          ? `${csmName} (from company record)`
-          : "Not assigned in HubSpot";
-
-        const ownerLine = ownerName
-          ? `${ownerName} (Sales)`
-          : ownerId
-            ? `${ownerId} (name not found in HubSpot)`
-            : "Not found in HubSpot records";
-
-        const contactsLine = contacts.length
-          ? contacts
-              .slice(0, 6)
-              .map((c) => {
-                const p = c.properties || {};
-                const nm = [p.firstname, p.lastname].filter(Boolean).join(" ").trim() || "Name not found";
-                const role = p.jobtitle ? `, ${p.jobtitle}` : "";
-                const email = p.email ? ` (${p.email})` : "";
-                return `${nm}${role}${email}`;
-              })
-              .join("; ")
-          : "Not found in HubSpot records";
-
-        const companyLine = companies.length
-          ? companies
-              .slice(0, 2)
-              .map((c) => c.properties?.name)
-              .filter(Boolean)
-              .join("; ")
-          : "Not found in HubSpot records";
-
-        // ── Phase 4: Build timeline + prompt + OpenAI ──
-        const timeline = formatTimelineForPrompt(emails, calls, meetings, notes, 2500, 50);
-        const lineItems = formatLineItemsForPrompt(lineItemsRaw);
-
-        const amount = deal.properties?.amount
-          ? `${deal.properties.deal_currency_code || "$"}${Number(deal.properties.amount).toLocaleString()}`
-          : null;
-        const dealType = deal.properties?.dealtype || null;
-        const dealStage = deal.properties?.dealstage || null;
-        const pipelineName = deal.properties?.pipeline || null;
-        const description = deal.properties?.description || null;
-
-        // Custom deal properties for product and trial status
-        const sourceConfig = deal.properties?.source_configuration || null;
-        const productLine = deal.properties?.product_line || null;
-        const productDescription = [sourceConfig, productLine].filter(Boolean).join(" ") || null;
-        const isTrialRaw = deal.properties?.is_this_a_trial_ || null;
-        const isTrial = isTrialRaw
-          ? (isTrialRaw.toLowerCase().includes("yes") || isTrialRaw === "true" ? "Yes" : "No")
-          : null;
-
-        const prompt = buildDeploymentPlanPrompt({
-          dealName,
-          hubspotDealUrl,
-          ownerLine,
-          csmLine,
-          created,
-          closed,
-          cycleDays,
-          contactsLine,
-          companyLine,
-          amount,
-          dealType,
-          dealStage,
-          pipelineName,
-          description,
-          productDescription,
-          isTrial,
-          lineItems,
-          timeline,
-          channelHistoryText
-        });
-
-        const planText = await callOpenAIForQA(prompt);
-        await slackPost(channel_id, planText);
-        planFinished = true;
-        clearTimeout(timeoutWarning);
-        await postToResponseUrl(response_url, `Posted deployment plan to #${channelName}.`, true);
+        await runPlan({ channel_id, user_id, response_url });
       } catch (err) {
-        planFinished = true;
-        clearTimeout(timeoutWarning);
-        console.error("/plan error:", err?.message || err, err?.code);
-        let msg = err?.response?.data ? JSON.stringify(err.response.data) : (err?.message || "unknown_error");
-        if (err?.code === "ETIMEDOUT" || msg.includes("ETIMEDOUT")) {
-          msg = "Redis connection timed out. Check Vercel logs and Redis connectivity.";
-        }
-        if (response_url) {
-          await postToResponseUrl(response_url, `Deployment plan failed: ${msg}`, true);
-        } else {
-          try {
-            await slackPost(channel_id, `Deployment plan failed: ${msg}`);
-          } catch (e) {
-            console.error("slackPost error:", e.message);
-          }
-        }
+        await releaseSlackDelivery("command", payload.trigger_id);
+        throw err;
       }
-    })()
+      await confirmSlackDelivery("command", payload.trigger_id);
+    }).catch(async (err) => {
+      console.error("[/plan] enqueue error:", err?.message || err);
+      await postToResponseUrl(response_url, `Deployment plan failed: ${err?.message || "unknown_error"}`, true);
+    })
   );
 }
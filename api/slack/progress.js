@@ -0,0 +1,106 @@
+import { slackPost, slackUpdate, slackDelete } from "./utils.js";
+
+// ===== Progress Messages =====
+// /summary and /plan post a placeholder message in the channel when their job starts
+// and edit it (chat.update) as the job moves along — the deal it found, how much
+// activity it read, then the model's draft as it streams — until the finished report
+// replaces it (blocks.js postReport). Progress is best effort: a failed post or edit
+// is logged and the job carries on.
+//
+// Slack rate-limits chat.update, so streamed drafts are shown at most once every
+// STREAM_UPDATE_INTERVAL_MS, and only the tail of a long draft is shown.
+
+const STREAM_UPDATE_INTERVAL_MS = 1500;
+const MAX_DRAFT_PREVIEW_CHARS = 3000;
+
+/** Post the placeholder. Returns its ts, or null if it couldn't be posted. */
+export async function startProgress(channel_id, text) {
+  try {
+    return (await slackPost(channel_id, text)).ts || null;
+  } catch (err) {
+    console.error("[startProgress] error:", err.message);
+    return null;
+  }
+}
+
+/** Replace the placeholder's text. No-op without a placeholder. */
+export async function updateProgress(channel_id, ts, text) {
+  if (!ts) return;
+  try {
+    await slackUpdate(channel_id, ts, text);
+  } catch (err) {
+    console.error("[updateProgress] error:", err.message);
+  }
+}
+
+/** Remove the placeholder (e.g. the user has to pick a deal first). */
+export async function clearProgress(channel_id, ts) {
+  if (!ts) return;
+  try {
+    await slackDelete(channel_id, ts);
+  } catch (err) {
+    console.error("[clearProgress] error:", err.message);
+  }
+}
+
+/** "84 emails, 12 calls, 3 meetings and 9 notes" for a deal context's activity. */
+export function describeActivity({ emails = [], calls = [], meetings = [], notes = [] } = {}) {
+  const parts = [
+    [emails.length, "email"],
+    [calls.length, "call"],
+    [meetings.length, "meeting"],
+    [notes.length, "note"]
+  ].map(([n, noun]) => `${n} ${noun}${n === 1 ? "" : "s"}`);
+  return `${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}`;
+}
+
+/** A status line followed by the end of a streamed draft. */
+export function draftPreview(status, textSoFar) {
+  const draft = textSoFar.length > MAX_DRAFT_PREVIEW_CHARS
+    ? `…${textSoFar.slice(-MAX_DRAFT_PREVIEW_CHARS)}`
+    : textSoFar;
+  return draft ? `${status}\n\n${draft}` : status;
+}
+
+/** Follow a model stream in the placeholder: pass `onText` to complete() (llm.js);
+ *  `render(textSoFar)` gives the message text. Call `stop()` when the model is done —
+ *  it drops any edit still waiting so none lands after the final report. */
+export function streamToProgress(channel_id, ts, render) {
+  let pending = null; // newest text not shown yet
+  let sending = null; // chat.update in flight
+  let lastSentAt = 0;
+  let timer = null;
+  let stopped = false;
+
+  const send = () => {
+    timer = null;
+    if (stopped || pending == null || sending) return;
+    const text = render(pending);
+    pending = null;
+    lastSentAt = Date.now();
+    sending = updateProgress(channel_id, ts, text).finally(() => {
+      sending = null;
+      if (pending != null) schedule();
+    });
+  };
+
+  const schedule = () => {
+    if (timer || stopped) return;
+    timer = setTimeout(send, Math.max(0, lastSentAt + STREAM_UPDATE_INTERVAL_MS - Date.now()));
+  };
+
+  return {
+    onText(textSoFar) {
+      if (!ts || stopped) return;
+      pending = textSoFar;
+      schedule();
+    },
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+      await sending;
+    }
+  };
+}
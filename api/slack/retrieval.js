@@ -0,0 +1,151 @@
+import { embed, isEmbeddingConfigured } from "./llm.js";
+import { estimateTokens } from "./context-packer.js";
+
+// ===== Relevance-Ranked Retrieval for @mention Q&A =====
+// The prompt keeps the most recent timeline entries and channel messages as-is;
+// everything older is split into sentence-grouped chunks, scored against the
+// question with BM25 and — when LLM_EMBEDDINGS_MODEL is set — reranked with
+// embedding similarity (reciprocal rank fusion). The best chunks go into the
+// prompt as excerpts, each keeping its source header so citations still work.
+//
+// RETRIEVAL_RECENT_TIMELINE  recent timeline entries always included (default 10)
+// RETRIEVAL_RECENT_CHANNEL   recent channel messages always included (default 15)
+// RETRIEVAL_TOP_K            excerpts added from older items (default 12)
+
+const DEFAULT_RECENT_TIMELINE = 10;
+const DEFAULT_RECENT_CHANNEL = 15;
+const DEFAULT_TOP_K = 12;
+const CHUNK_TOKENS = 160;
+const EMBED_CANDIDATES = 100;
+const RRF_K = 60;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set(
+  ("a an and are as at be but by did do does for from had has have he her his how i if in is it its me my " +
+    "no not of on or our she so that the their them they this to us was we were what when where which who " +
+    "why will with you your about any anything been can could should would there than then into just")
+    .split(" ")
+);
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/** Lowercased content words with light suffix stripping ("requirements" → "requirement"). */
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/<[^>]*>/g, " ")
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length > 1 && !STOPWORDS.has(w))
+    .map((w) => w.replace(/(ing|ed|es|s)$/, (suffix) => (w.length - suffix.length >= 4 ? "" : suffix)));
+}
+
+/** Split items ({ header, body, timestamp }) into chunks of ~CHUNK_TOKENS that keep
+ *  sentence boundaries. Each chunk's text repeats its item's header. */
+export function chunkItems(items) {
+  const chunks = [];
+  for (const item of items) {
+    const sentences = (item.body || "").match(/[^.!?\n]+[.!?]*\s*/g) || [];
+    let current = "";
+    const push = () => {
+      if (!current.trim()) return;
+      chunks.push({ item, timestamp: item.timestamp, text: `${item.header}: ${current.trim()}` });
+      current = "";
+    };
+    for (const sentence of sentences) {
+      if (current && estimateTokens(current + sentence) > CHUNK_TOKENS) push();
+      current += sentence;
+    }
+    push();
+    if (!sentences.length) chunks.push({ item, timestamp: item.timestamp, text: item.header });
+  }
+  return chunks;
+}
+
+/** BM25 score of each document against the query terms. */
+export function bm25Scores(queryTerms, documents) {
+  const docs = documents.map((d) => tokenize(d));
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1) || 1;
+  const docFreq = new Map();
+  for (const doc of docs) {
+    for (const term of new Set(doc)) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+  }
+  const terms = [...new Set(queryTerms)];
+  return docs.map((doc) => {
+    const tf = new Map();
+    for (const term of doc) tf.set(term, (tf.get(term) || 0) + 1);
+    let score = 0;
+    for (const term of terms) {
+      const f = tf.get(term);
+      if (!f) continue;
+      const n = docFreq.get(term);
+      const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+      score += (idf * f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / avgLength));
+    }
+    return score;
+  });
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/** Chunk indexes ranked by relevance to the question, best first. Chunks with no
+ *  keyword overlap are only kept if embeddings rank them. */
+async function rankChunks(question, chunks) {
+  const scores = bm25Scores(tokenize(question), chunks.map((c) => c.text));
+  const byBm25 = chunks.map((c, i) => i).filter((i) => scores[i] > 0).sort((a, b) => scores[b] - scores[a]);
+  if (!isEmbeddingConfigured() || !chunks.length) return byBm25;
+
+  try {
+    // Embed the keyword matches plus the most recent chunks, so semantic matches
+    // without shared words still have a chance
+    const byRecency = chunks.map((c, i) => i).sort((a, b) => Number(new Date(b.timestamp || 0)) - Number(new Date(a.timestamp || 0)));
+    const candidates = [...new Set([...byBm25.slice(0, EMBED_CANDIDATES), ...byRecency.slice(0, EMBED_CANDIDATES)])];
+    const [queryVector, ...vectors] = await embed([question, ...candidates.map((i) => chunks[i].text)]);
+    const similarity = new Map(candidates.map((i, n) => [i, cosine(queryVector, vectors[n])]));
+    const byEmbedding = [...candidates].sort((a, b) => similarity.get(b) - similarity.get(a));
+
+    // Reciprocal rank fusion of the two rankings
+    const fused = new Map();
+    byBm25.forEach((i, rank) => fused.set(i, (fused.get(i) || 0) + 1 / (RRF_K + rank + 1)));
+    byEmbedding.forEach((i, rank) => fused.set(i, (fused.get(i) || 0) + 1 / (RRF_K + rank + 1)));
+    return [...fused.keys()].sort((a, b) => fused.get(b) - fused.get(a));
+  } catch (err) {
+    console.error("[retrieval] embeddings failed, using keyword ranking only:", err.message);
+    return byBm25;
+  }
+}
+
+/** Split prompt items into the recent ones (kept whole, newest first) and the
+ *  top-ranked excerpts from everything older. Returns
+ *  { timelineItems, channelItems, relevantItems }. */
+export async function retrieveForQuestion(question, { timelineItems = [], channelItems = [] }) {
+  const recentTimeline = envInt("RETRIEVAL_RECENT_TIMELINE", DEFAULT_RECENT_TIMELINE);
+  const recentChannel = envInt("RETRIEVAL_RECENT_CHANNEL", DEFAULT_RECENT_CHANNEL);
+  const topK = envInt("RETRIEVAL_TOP_K", DEFAULT_TOP_K);
+
+  const older = [...timelineItems.slice(recentTimeline), ...channelItems.slice(recentChannel)];
+  const chunks = chunkItems(older);
+  const ranked = await rankChunks(question, chunks);
+
+  const relevantItems = ranked.slice(0, topK).map((i) => ({ timestamp: chunks[i].timestamp, text: chunks[i].text }));
+  console.log("[retrieval] %d older items → %d chunks → %d excerpts", older.length, chunks.length, relevantItems.length);
+
+  return {
+    timelineItems: timelineItems.slice(0, recentTimeline),
+    channelItems: channelItems.slice(0, recentChannel),
+    relevantItems
+  };
+}
@@ -0,0 +1,145 @@
+import crypto from "crypto";
+
+// ===== OAuth Token Encryption at Rest =====
+// Envelope encryption: every value gets its own random data key (DEK). The value
+// is sealed with the DEK and the DEK is sealed with a key-encryption key (KEK)
+// from TOKEN_ENCRYPTION_KEYS, both with AES-256-GCM. The Redis key name is bound
+// in as additional authenticated data so ciphertexts can't be swapped between keys.
+//
+// Stored format:  enc:v1:<kid>:<wrapped DEK>:<iv>:<auth tag>:<ciphertext>  (base64url parts)
+//
+// TOKEN_ENCRYPTION_KEYS   comma-separated `<kid>:<base64 32-byte key>` pairs, e.g. "k2:...,k1:..."
+// TOKEN_ENCRYPTION_KEY_ID kid used for new writes (defaults to the first key listed)
+//
+// To rotate: add the new key to TOKEN_ENCRYPTION_KEYS, point TOKEN_ENCRYPTION_KEY_ID
+// at it, deploy, run `node scripts/reencrypt-tokens.js`, then drop the old key.
+
+const PREFIX = "enc:v1:";
+
+// Every Redis key holding an OAuth token: slack:[<team_id>:]… and hubspot:[<portal_id>:]….
+// Values are read and written only through readSecret/writeSecret so plaintext
+// never lands in Redis.
+export const TOKEN_KEY_PATTERNS = [
+  "slack:*access_token",
+  "slack:*refresh_token",
+  "hubspot:*access_token",
+  "hubspot:*refresh_token"
+];
+
+export async function findTokenKeys(r) {
+  const found = new Set();
+  for (const pattern of TOKEN_KEY_PATTERNS) {
+    let cursor = "0";
+    do {
+      const [next, keys] = await r.scan(cursor, "MATCH", pattern, "COUNT", 200);
+      keys.forEach((k) => found.add(k));
+      cursor = next;
+    } while (cursor !== "0");
+  }
+  return [...found];
+}
+
+function loadKeyring() {
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS;
+  if (!raw) throw new Error("Missing TOKEN_ENCRYPTION_KEYS environment variable (needed to encrypt OAuth tokens)");
+
+  const keys = new Map();
+  for (const entry of raw.split(",").map((e) => e.trim()).filter(Boolean)) {
+    const [kid, b64] = entry.split(":");
+    const key = Buffer.from(b64 || "", "base64");
+    if (!kid || key.length !== 32) {
+      throw new Error(`Invalid TOKEN_ENCRYPTION_KEYS entry "${kid || entry}": expected <kid>:<base64 32-byte key>`);
+    }
+    keys.set(kid, key);
+  }
+
+  const currentKid = process.env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (!keys.has(currentKid)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${currentKid}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+  return { keys, currentKid };
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(aad, "utf8"));
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ct };
+}
+
+function open(key, { iv, tag, ct }, aad) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAAD(Buffer.from(aad, "utf8"));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]);
+}
+
+const b64 = (buf) => buf.toString("base64url");
+const unb64 = (str) => Buffer.from(str, "base64url");
+
+export function isEncrypted(stored) {
+  return typeof stored === "string" && stored.startsWith(PREFIX);
+}
+
+export function encryptSecret(plaintext, aad) {
+  const { keys, currentKid } = loadKeyring();
+  const dek = crypto.randomBytes(32);
+  const wrapped = seal(keys.get(currentKid), dek, `dek:${aad}`);
+  const sealed = seal(dek, Buffer.from(String(plaintext), "utf8"), aad);
+  const wrappedDek = b64(Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ct]));
+  return PREFIX + [currentKid, wrappedDek, b64(sealed.iv), b64(sealed.tag), b64(sealed.ct)].join(":");
+}
+
+export function decryptSecret(stored, aad) {
+  const [kid, wrappedDek, iv, tag, ct] = stored.slice(PREFIX.length).split(":");
+  const { keys } = loadKeyring();
+  const kek = keys.get(kid);
+  if (!kek) throw new Error(`Token encrypted with unknown key id "${kid}" — add it back to TOKEN_ENCRYPTION_KEYS`);
+
+  const w = unb64(wrappedDek);
+  const dek = open(kek, { iv: w.subarray(0, 12), tag: w.subarray(12, 28), ct: w.subarray(28) }, `dek:${aad}`);
+  return open(dek, { iv: unb64(iv), tag: unb64(tag), ct: unb64(ct) }, aad).toString("utf8");
+}
+
+export function keyIdOf(stored) {
+  return isEncrypted(stored) ? stored.slice(PREFIX.length).split(":")[0] : null;
+}
+
+/** Read a token from Redis. Legacy plaintext values are returned as-is and
+ *  rewritten encrypted so the next read finds ciphertext. */
+export async function readSecret(r, key) {
+  const stored = await r.get(key);
+  if (stored == null) return null;
+  if (isEncrypted(stored)) return decryptSecret(stored, key);
+
+  console.warn("[readSecret] migrating plaintext value at %s to encrypted storage", key);
+  try {
+    await r.set(key, encryptSecret(stored, key));
+  } catch (err) {
+    console.error("[readSecret] could not migrate %s:", key, err.message);
+  }
+  return stored;
+}
+
+export async function writeSecret(r, key, value) {
+  return r.set(key, encryptSecret(value, key));
+}
+
+/** Re-encrypt every stored token under the current key. Plaintext values are
+ *  encrypted too. Returns counts so the rotation script can report progress. */
+export async function reencryptSecrets(r, keys = null) {
+  const { currentKid } = loadKeyring();
+  keys = keys || (await findTokenKeys(r));
+  const result = { scanned: 0, rewritten: 0 };
+  for (const key of keys) {
+    const stored = await r.get(key);
+    if (stored == null) continue;
+    result.scanned++;
+    if (keyIdOf(stored) === currentKid) continue;
+    const plaintext = isEncrypted(stored) ? decryptSecret(stored, key) : stored;
+    await r.set(key, encryptSecret(plaintext, key));
+    result.rewritten++;
+  }
+  return result;
+}
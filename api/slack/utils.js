@@ -1,6 +1,10 @@
 import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
 import axios from "axios";
 import Redis from "ioredis";
+import { readSecret, writeSecret } from "./token-crypto.js";
+import { withRateLimiting } from "./hubspot-http.js";
+import { loadPropertyConfig, configuredProperties } from "./deal-properties.js";
 
 const SLACK_TIMEOUT_MS = 8000;
 const HUBSPOT_TIMEOUT_MS = 10000;
@@ -47,6 +51,96 @@ export const redis = new Proxy({}, {
   }
 });
 
+// ===== Tenancy (Slack workspace ↔ HubSpot portal) =====
+// One deployment can serve several Slack workspaces, each connected to its own
+// HubSpot portal. Entry points run their work inside withTenant(team_id, ...) so
+// token lookups and Redis keys resolve to the calling workspace without threading
+// the team ID through every helper. Outside a tenant (scripts, or installs that
+// predate multi-workspace support) keys fall back to the original global names.
+
+const tenantStore = new AsyncLocalStorage();
+
+export function withTenant(teamId, fn) {
+  return tenantStore.run({ teamId: teamId || null }, fn);
+}
+
+export function currentTeamId() {
+  return tenantStore.getStore()?.teamId || null;
+}
+
+/** Redis key namespaced by the current Slack workspace: slack:<team_id>:<suffix>. */
+export function teamKey(suffix) {
+  const teamId = currentTeamId();
+  return teamId ? `slack:${teamId}:${suffix}` : `slack:${suffix}`;
+}
+
+const _cachedPortalIds = new Map(); // team ID ("" outside a tenant) → { portalId, legacy, expiresAt }
+const PORTAL_CACHE_TTL_MS = 5 * 60 * 1000;
+
+export async function setTeamPortalId(teamId, portalId) {
+  await getRedis().set(`slack:${teamId}:hubspot_portal_id`, String(portalId));
+  _cachedPortalIds.delete(teamId);
+}
+
+/** The portal a workspace is connected to, straight from Redis (no fallbacks). */
+export async function getTeamPortalId(teamId) {
+  return teamId ? getRedis().get(`slack:${teamId}:hubspot_portal_id`) : null;
+}
+
+/** Whether `teamId` is the install that predates multi-workspace support: no
+ *  workspace at all (scripts, cron), a deployment pinned to one workspace by
+ *  SLACK_BOT_TOKEN, or the workspace that owned the global Slack tokens. */
+async function isLegacyWorkspace(r, teamId) {
+  if (!teamId || process.env.SLACK_BOT_TOKEN) return true;
+  let owner = await r.get("slack:legacy_team_id");
+  if (!owner && (await claimLegacySlackTokens(r, teamId))) return true;
+  owner = owner || (await r.get("slack:legacy_team_id"));
+  return owner === teamId;
+}
+
+/** { portalId, legacy } for the current workspace; cached briefly. */
+async function tenantPortal() {
+  const teamId = currentTeamId();
+  const cached = _cachedPortalIds.get(teamId || "");
+  if (cached && Date.now() < cached.expiresAt) return cached;
+
+  const r = getRedis();
+  const mapped = teamId
+    ? await withTimeout(getTeamPortalId(teamId), REDIS_READ_TIMEOUT_MS, "Redis read timeout (HubSpot portal lookup).")
+    : null;
+  const legacy = !mapped && (await isLegacyWorkspace(r, teamId));
+  let portalId = mapped;
+  if (legacy) {
+    const [legacyPortal, fallback] = await withTimeout(
+      Promise.all([r.get("hubspot:legacy_portal_id"), r.get("hubspot:default_portal_id")]),
+      REDIS_READ_TIMEOUT_MS,
+      "Redis read timeout (HubSpot portal lookup)."
+    );
+    portalId = legacyPortal || fallback || process.env.HUBSPOT_PORTAL_ID || null;
+  }
+  const entry = { portalId, legacy, expiresAt: Date.now() + PORTAL_CACHE_TTL_MS };
+  _cachedPortalIds.set(teamId || "", entry);
+  return entry;
+}
+
+/** HubSpot portal (hub ID) connected to the current workspace, or null when it has
+ *  none. Only the legacy single-workspace install falls back to the global portal
+ *  (hubspot:legacy_portal_id / hubspot:default_portal_id, then HUBSPOT_PORTAL_ID). */
+export async function getTenantPortalId() {
+  return (await tenantPortal()).portalId;
+}
+
+export function buildHubSpotDealUrl(portalId, dealId) {
+  return portalId
+    ? `https://app.hubspot.com/contacts/${portalId}/record/0-3/${dealId}`
+    : `(HubSpot portal unknown — reconnect HubSpot to generate deal links)`;
+}
+
+/** Redis key namespaced by HubSpot portal: hubspot:<portal_id>:<suffix>. */
+export function portalKey(portalId, suffix) {
+  return portalId ? `hubspot:${portalId}:${suffix}` : `hubspot:${suffix}`;
+}
+
 // ===== Slack Bot Token (OAuth / token rotation) =====
 
 const SLACK_REFRESH_BUFFER_MS = 60 * 60 * 1000; // refresh 1 hour before expiry
@@ -54,8 +148,8 @@ const REDIS_READ_TIMEOUT_MS = 2000; // fail fast from serverless if Redis is unr
 
 // In-memory token cache — survives within a single invocation and across
 // warm invocations on Vercel. Eliminates repeated Redis reads per request.
-let _cachedSlackBotToken = null;
-let _cachedSlackBotTokenExpiresAt = 0;
+// Keyed by team ID ("" for the legacy single-workspace keys).
+const _cachedSlackBotTokens = new Map();
 const SLACK_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 
 export function withTimeout(promise, ms, message) {
@@ -67,17 +161,121 @@ export function withTimeout(promise, ms, message) {
   ]);
 }
 
+function slackTokenKeys(teamId) {
+  const prefix = teamId ? `slack:${teamId}` : "slack";
+  return {
+    access: `${prefix}:access_token`,
+    refresh: `${prefix}:refresh_token`,
+    expiresAt: `${prefix}:expires_at_ms`,
+  };
+}
+
+function cacheSlackBotToken(teamId, token) {
+  _cachedSlackBotTokens.set(teamId || "", { token, expiresAt: Date.now() + SLACK_CACHE_TTL_MS });
+}
+
 /** Returns the cached Slack bot token synchronously, or null if not cached.
  *  Use this in error handlers to avoid a Redis round trip. */
 export function getCachedSlackBotToken() {
   const envToken = process.env.SLACK_BOT_TOKEN || null;
   if (envToken) return envToken;
-  if (_cachedSlackBotToken && Date.now() < _cachedSlackBotTokenExpiresAt) {
-    return _cachedSlackBotToken;
+  const cached = _cachedSlackBotTokens.get(currentTeamId() || "");
+  if (cached && Date.now() < cached.expiresAt) {
+    return cached.token;
   }
   return null;
 }
 
+async function readSlackTokens(r, keys) {
+  // Batch all 3 reads into a single timeout window
+  const [access, refresh, expiresAtMsStr] = await withTimeout(
+    Promise.all([
+      readSecret(r, keys.access),
+      readSecret(r, keys.refresh),
+      r.get(keys.expiresAt),
+    ]),
+    REDIS_READ_TIMEOUT_MS,
+    "Redis read timeout (Slack token). Redis may be unreachable from Vercel."
+  );
+  return { access, refresh, expiresAtMs: expiresAtMsStr ? Number(expiresAtMsStr) : 0 };
+}
+
+/** Exchange a refresh token and store the rotated tokens under `keys`.
+ *  Returns the oauth.v2.access response, or null if the refresh failed. */
+async function refreshSlackTokens(r, keys, refresh) {
+  const clientId = process.env.SLACK_CLIENT_ID;
+  const clientSecret = process.env.SLACK_CLIENT_SECRET;
+  if (!clientId || !clientSecret) return null;
+  try {
+    const resp = await axios.post(
+      "https://slack.com/api/oauth.v2.access",
+      new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        grant_type: "refresh_token",
+        refresh_token: refresh,
+      }),
+      {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: SLACK_TIMEOUT_MS,
+      }
+    );
+    if (!resp.data?.ok) return null;
+    const newRefresh = resp.data.refresh_token;
+    const expiresIn = Number(resp.data.expires_in ?? 43200);
+    const newExpiresAt = Date.now() + expiresIn * 1000;
+    await writeSecret(r, keys.access, resp.data.access_token);
+    await r.set(keys.expiresAt, String(newExpiresAt));
+    if (newRefresh) await writeSecret(r, keys.refresh, newRefresh);
+    return resp.data;
+  } catch (err) {
+    console.error("Slack token refresh error:", err.message);
+    return null;
+  }
+}
+
+/** Tokens stored before multi-workspace support live under the global slack:*
+ *  keys. Move them under their workspace the first time that workspace calls in.
+ *  Returns true if the legacy tokens belonged to `teamId` and were moved. */
+async function claimLegacySlackTokens(r, teamId) {
+  const legacyKeys = slackTokenKeys(null);
+  const legacy = await readSlackTokens(r, legacyKeys);
+  if (!legacy.access && !legacy.refresh) return false;
+
+  let owner = await r.get("slack:legacy_team_id");
+  if (!owner && legacy.access) {
+    try {
+      const resp = await axios.get("https://slack.com/api/auth.test", {
+        headers: { Authorization: `Bearer ${legacy.access}` },
+        timeout: SLACK_TIMEOUT_MS
+      });
+      if (resp.data?.ok) owner = resp.data.team_id;
+    } catch (err) {
+      console.error("[claimLegacySlackTokens] auth.test failed:", err.message);
+    }
+  }
+  if (!owner && legacy.refresh) {
+    // Expired access token — the refresh response names the workspace
+    const data = await refreshSlackTokens(r, legacyKeys, legacy.refresh);
+    owner = data?.team?.id || null;
+  }
+  if (!owner) return false;
+  await r.set("slack:legacy_team_id", owner);
+  if (owner !== teamId) return false;
+
+  const current = await readSlackTokens(r, legacyKeys);
+  const keys = slackTokenKeys(teamId);
+  await Promise.all([
+    current.access ? writeSecret(r, keys.access, current.access) : null,
+    current.refresh ? writeSecret(r, keys.refresh, current.refresh) : null,
+    current.expiresAtMs ? r.set(keys.expiresAt, String(current.expiresAtMs)) : null,
+  ]);
+  await r.sadd("slack:teams", teamId);
+  await r.del(legacyKeys.access, legacyKeys.refresh, legacyKeys.expiresAt);
+  console.log("[claimLegacySlackTokens] moved legacy Slack tokens to workspace %s", teamId);
+  return true;
+}
+
 export async function getSlackBotToken() {
   const envToken = process.env.SLACK_BOT_TOKEN || null;
   // When env token is set, use it directly so we never block on Redis
@@ -87,80 +285,46 @@ export async function getSlackBotToken() {
   }
 
   // Check in-memory cache first
-  if (_cachedSlackBotToken && Date.now() < _cachedSlackBotTokenExpiresAt) {
+  const teamId = currentTeamId();
+  const cached = _cachedSlackBotTokens.get(teamId || "");
+  if (cached && Date.now() < cached.expiresAt) {
     console.log("[getSlackBotToken] returning cached token");
-    return _cachedSlackBotToken;
+    return cached.token;
   }
 
-  console.log("[getSlackBotToken] reading from Redis (timeout %sms)...", REDIS_READ_TIMEOUT_MS);
+  console.log("[getSlackBotToken] reading from Redis for team=%s (timeout %sms)...", teamId || "(legacy)", REDIS_READ_TIMEOUT_MS);
   try {
     const r = getRedis();
-    // Batch all 3 reads into a single timeout window
-    const [access, refresh, expiresAtMsStr] = await withTimeout(
-      Promise.all([
-        r.get("slack:access_token"),
-        r.get("slack:refresh_token"),
-        r.get("slack:expires_at_ms"),
-      ]),
-      REDIS_READ_TIMEOUT_MS,
-      "Redis read timeout (Slack token). Redis may be unreachable from Vercel."
-    );
-    const expiresAtMs = expiresAtMsStr ? Number(expiresAtMsStr) : 0;
+    const keys = slackTokenKeys(teamId);
+    let { access, refresh, expiresAtMs } = await readSlackTokens(r, keys);
+    if (!access && !refresh && teamId && (await claimLegacySlackTokens(r, teamId))) {
+      ({ access, refresh, expiresAtMs } = await readSlackTokens(r, keys));
+    }
 
     const now = Date.now();
     if (access && expiresAtMs && now < expiresAtMs - SLACK_REFRESH_BUFFER_MS) {
-      _cachedSlackBotToken = access;
-      _cachedSlackBotTokenExpiresAt = Date.now() + SLACK_CACHE_TTL_MS;
+      cacheSlackBotToken(teamId, access);
       return access;
     }
 
     if (refresh) {
-      const clientId = process.env.SLACK_CLIENT_ID;
-      const clientSecret = process.env.SLACK_CLIENT_SECRET;
-      if (clientId && clientSecret) {
-        try {
-          const resp = await axios.post(
-            "https://slack.com/api/oauth.v2.access",
-            new URLSearchParams({
-              client_id: clientId,
-              client_secret: clientSecret,
-              grant_type: "refresh_token",
-              refresh_token: refresh,
-            }),
-            {
-              headers: { "Content-Type": "application/x-www-form-urlencoded" },
-              timeout: SLACK_TIMEOUT_MS,
-            }
-          );
-          if (resp.data?.ok) {
-            const newAccess = resp.data.access_token;
-            const newRefresh = resp.data.refresh_token;
-            const expiresIn = Number(resp.data.expires_in ?? 43200);
-            const newExpiresAt = Date.now() + expiresIn * 1000;
-            await r.set("slack:access_token", newAccess);
-            await r.set("slack:expires_at_ms", String(newExpiresAt));
-            if (newRefresh) await r.set("slack:refresh_token", newRefresh);
-            _cachedSlackBotToken = newAccess;
-            _cachedSlackBotTokenExpiresAt = Date.now() + SLACK_CACHE_TTL_MS;
-            return newAccess;
-          }
-        } catch (err) {
-          console.error("Slack token refresh error:", err.message);
-        }
+      const data = await refreshSlackTokens(r, keys, refresh);
+      if (data) {
+        cacheSlackBotToken(teamId, data.access_token);
+        return data.access_token;
       }
     }
 
     const isExpired = expiresAtMs && now >= expiresAtMs - SLACK_REFRESH_BUFFER_MS;
     if (!access) {
-      throw new Error("No Slack bot token (install app or set SLACK_BOT_TOKEN)");
+      throw new Error("No Slack bot token for this workspace (install the app via /api/slack/oauth/start or set SLACK_BOT_TOKEN)");
     }
     if (isExpired) {
       throw new Error(
         "Slack token expired and refresh failed; reinstall the app from Slack app settings (Install App)."
       );
     }
-    _cachedSlackBotToken = access;
-    _cachedSlackBotTokenExpiresAt = Date.now() + SLACK_CACHE_TTL_MS;
+    cacheSlackBotToken(teamId, access);
     return access;
   } catch (err) {
     console.error("[getSlackBotToken] Redis error or timeout:", err.message);
@@ -168,6 +332,24 @@ export async function getSlackBotToken() {
   }
 }
 
+/** Store tokens from the Slack OAuth callback under their workspace. */
+export async function storeSlackTokens(teamId, { access_token, refresh_token, expires_in }) {
+  const r = getRedis();
+  const keys = slackTokenKeys(teamId);
+  const expiresAtMs = Date.now() + Number(expires_in ?? 43200) * 1000;
+  await withTimeout(
+    Promise.all([
+      writeSecret(r, keys.access, access_token),
+      r.set(keys.expiresAt, String(expiresAtMs)),
+      ...(refresh_token ? [writeSecret(r, keys.refresh, refresh_token)] : []),
+      ...(teamId ? [r.sadd("slack:teams", teamId)] : []),
+    ]),
+    5000,
+    "Redis write timeout — could not store Slack tokens. Check Redis connectivity."
+  );
+  _cachedSlackBotTokens.delete(teamId || "");
+}
+
 // ===== Slack Request Verification =====
 
 export function verifySlackRequest(req, rawBody) {
@@ -203,6 +385,66 @@ export async function readRawBody(req) {
   });
 }
 
+// ===== Slack Delivery Deduplication =====
+// Slack redelivers an event when our ack is slow or fails (X-Slack-Retry-Num, with the
+// cause in X-Slack-Retry-Reason), and a slash command can reach us twice. Entry points
+// claim each delivery's ID (event_id, trigger_id) before acting on it; only the first
+// claim wins, so a retry of work already under way is acknowledged and dropped. A
+// claim is held for DELIVERY_CLAIM_SECONDS at first and kept for the full TTL once the
+// work is queued (confirmSlackDelivery); if queueing fails it is released
+// (releaseSlackDelivery), and if the function dies first it lapses — either way a
+// later retry can run.
+//
+// SLACK_DEDUPE_TTL_SECONDS  how long confirmed IDs are remembered (default 3600 —
+//                           Slack's retries span a few minutes)
+
+const DEFAULT_DEDUPE_TTL_SECONDS = 60 * 60;
+const DELIVERY_CLAIM_SECONDS = 30;
+
+function deliveryKey(kind, id) {
+  return teamKey(`delivery:${kind}:${id}`);
+}
+
+/** { num, reason } for a Slack retry, or null for a first delivery. */
+export function slackRetryInfo(req) {
+  const num = req.headers["x-slack-retry-num"];
+  if (num == null) return null;
+  return { num: Number(num), reason: req.headers["x-slack-retry-reason"] || "unknown" };
+}
+
+/** Claim a delivery ID (per workspace) — true the first time, false for duplicates.
+ *  Fails open: when Redis is unreachable the delivery is processed. */
+export async function claimSlackDelivery(kind, id) {
+  if (!id) return true;
+  try {
+    return (await redis.set(deliveryKey(kind, id), "1", "EX", DELIVERY_CLAIM_SECONDS, "NX")) === "OK";
+  } catch (err) {
+    console.error("[claimSlackDelivery] error:", err.message);
+    return true;
+  }
+}
+
+/** Keep a claimed delivery ID for the full dedupe TTL once its work is queued. */
+export async function confirmSlackDelivery(kind, id) {
+  if (!id) return;
+  const ttl = parseInt(process.env.SLACK_DEDUPE_TTL_SECONDS, 10) || DEFAULT_DEDUPE_TTL_SECONDS;
+  try {
+    await redis.set(deliveryKey(kind, id), "1", "EX", ttl);
+  } catch (err) {
+    console.error("[confirmSlackDelivery] error:", err.message);
+  }
+}
+
+/** Give up a claimed delivery ID whose work failed, so a retry can run it. */
+export async function releaseSlackDelivery(kind, id) {
+  if (!id) return;
+  try {
+    await redis.del(deliveryKey(kind, id));
+  } catch (err) {
+    console.error("[releaseSlackDelivery] error:", err.message);
+  }
+}
+
 // ===== Slack API Helpers =====
 
 export async function getSlackChannelName(channel_id) {
@@ -282,13 +524,16 @@ export async function getThreadHistory(channel_id, thread_ts) {
   return resp.data.messages || [];
 }
 
-export async function slackPost(channel_id, text, thread_ts = null) {
+export async function slackPost(channel_id, text, thread_ts = null, blocks = null) {
   const token = await getSlackBotToken();
   if (!token) throw new Error("No Slack bot token (install app or set SLACK_BOT_TOKEN)");
   const payload = { channel: channel_id, text };
   if (thread_ts) {
     payload.thread_ts = thread_ts;
   }
+  if (blocks) {
+    payload.blocks = blocks;
+  }
   const resp = await axios.post("https://slack.com/api/chat.postMessage", payload, {
     headers: { Authorization: `Bearer ${token}` },
     timeout: SLACK_TIMEOUT_MS
@@ -297,6 +542,71 @@ export async function slackPost(channel_id, text, thread_ts = null) {
   return resp.data;
 }
 
+export async function slackUpdate(channel_id, ts, text, blocks = null) {
+  const token = await getSlackBotToken();
+  if (!token) throw new Error("No Slack bot token (install app or set SLACK_BOT_TOKEN)");
+  // Passing an empty blocks array clears blocks left from an earlier version of the message
+  const payload = { channel: channel_id, ts, text, blocks: blocks || [] };
+  const resp = await axios.post("https://slack.com/api/chat.update", payload, {
+    headers: { Authorization: `Bearer ${token}` },
+    timeout: SLACK_TIMEOUT_MS
+  });
+  if (!resp.data?.ok) throw new Error(`Slack chat.update error: ${resp.data?.error || "unknown_error"}`);
+  return resp.data;
+}
+
+export async function slackDelete(channel_id, ts) {
+  const token = await getSlackBotToken();
+  if (!token) throw new Error("No Slack bot token (install app or set SLACK_BOT_TOKEN)");
+  const resp = await axios.post("https://slack.com/api/chat.delete", { channel: channel_id, ts }, {
+    headers: { Authorization: `Bearer ${token}` },
+    timeout: SLACK_TIMEOUT_MS
+  });
+  if (!resp.data?.ok) throw new Error(`Slack chat.delete error: ${resp.data?.error || "unknown_error"}`);
+  return resp.data;
+}
+
+export async function slackPostEphemeral(channel_id, user_id, text, { blocks, thread_ts } = {}) {
+  const token = await getSlackBotToken();
+  if (!token) throw new Error("No Slack bot token (install app or set SLACK_BOT_TOKEN)");
+  const payload = { channel: channel_id, user: user_id, text };
+  if (blocks) payload.blocks = blocks;
+  if (thread_ts) payload.thread_ts = thread_ts;
+  const resp = await axios.post("https://slack.com/api/chat.postEphemeral", payload, {
+    headers: { Authorization: `Bearer ${token}` },
+    timeout: SLACK_TIMEOUT_MS
+  });
+  if (!resp.data?.ok) throw new Error(`Slack chat.postEphemeral error: ${resp.data?.error || "unknown_error"}`);
+  return resp.data;
+}
+
+export async function postToResponseUrl(responseUrl, text, replaceOriginal = false, blocks = null) {
+  if (!responseUrl) return;
+  try {
+    await axios.post(
+      responseUrl,
+      { text, replace_original: replaceOriginal, ...(blocks ? { blocks } : {}) },
+      { headers: { "Content-Type": "application/json" }, timeout: 15000 }
+    );
+  } catch (e) {
+    console.error("postToResponseUrl failed:", e.message, e.response?.status);
+  }
+}
+
+/** Whether a Slack user is a workspace admin or owner (needs the users:read scope). */
+export async function isWorkspaceAdmin(user_id) {
+  const token = await getSlackBotToken();
+  if (!token) throw new Error("No Slack bot token (install app or set SLACK_BOT_TOKEN)");
+  const resp = await axios.get("https://slack.com/api/users.info", {
+    headers: { Authorization: `Bearer ${token}` },
+    params: { user: user_id },
+    timeout: SLACK_TIMEOUT_MS
+  });
+  if (!resp.data?.ok) throw new Error(`Slack users.info error: ${resp.data?.error || "unknown_error"}`);
+  const user = resp.data.user || {};
+  return !!(user.is_admin || user.is_owner || user.is_primary_owner);
+}
+
 export async function getBotUserId() {
   console.log("[getBotUserId] start");
   const token = await getSlackBotToken();
@@ -467,33 +777,67 @@ export function channelNameToDealQuery(channelName) {
   return (channelName || "").replace(/-/g, " ").trim();
 }
 
-// ===== Thread Context Management (Redis) =====
+// ===== Channel → Deal Binding (Redis) =====
+// Set with /deco link. Takes precedence over the channel-name search so renamed
+// channels and customers with several deals resolve to the right record.
 
-export async function storeThreadContext(channel_id, thread_ts, messages, dealId) {
-  const key = `slack:thread:${channel_id}:${thread_ts}`;
-  const data = {
-    messages,
-    dealId,
-    lastUpdated: Date.now()
-  };
-  await redis.set(key, JSON.stringify(data), "EX", 86400); // 24 hour TTL
+export function parseDealReference(input) {
+  const value = (input || "").trim().replace(/^<|>$/g, "").split("|")[0];
+  if (/^\d+$/.test(value)) return value;
+  // HubSpot deal URLs: .../record/0-3/<id> (current UI) or .../deal/<id> (legacy UI)
+  const match = value.match(/\/record\/0-3\/(\d+)/) || value.match(/\/deal\/(\d+)/);
+  return match ? match[1] : null;
 }
 
-export async function getThreadContext(channel_id, thread_ts) {
-  const key = `slack:thread:${channel_id}:${thread_ts}`;
-  const data = await redis.get(key);
+export async function getChannelDealBinding(channel_id) {
+  // Bindings made before multi-workspace support used the un-namespaced key
+  const data =
+    (await redis.get(teamKey(`channel_deal:${channel_id}`))) ||
+    (currentTeamId() ? await redis.get(`slack:channel_deal:${channel_id}`) : null);
   if (!data) return null;
   return JSON.parse(data);
 }
 
-export async function addMessageToThread(channel_id, thread_ts, message) {
-  const context = await getThreadContext(channel_id, thread_ts);
-  if (!context) return null;
-  context.messages.push(message);
-  context.lastUpdated = Date.now();
-  const key = `slack:thread:${channel_id}:${thread_ts}`;
-  await redis.set(key, JSON.stringify(context), "EX", 86400);
-  return context;
+export async function setChannelDealBinding(channel_id, { dealId, dealName, linkedBy }) {
+  const data = {
+    dealId: String(dealId),
+    dealName: dealName || null,
+    linkedBy: linkedBy || null,
+    linkedAt: Date.now()
+  };
+  await redis.set(teamKey(`channel_deal:${channel_id}`), JSON.stringify(data));
+  return data;
+}
+
+export async function clearChannelDealBinding(channel_id) {
+  const keys = [teamKey(`channel_deal:${channel_id}`)];
+  if (currentTeamId()) keys.push(`slack:channel_deal:${channel_id}`);
+  const removed = await redis.del(...keys);
+  return removed > 0;
+}
+
+const CHANNEL_DEAL_KEY_PATTERN = /^slack:(?:([A-Z0-9]+):)?channel_deal:([A-Z0-9]+)$/;
+
+/** Every channel → deal binding across all workspaces: [{ teamId, channel_id, binding }].
+ *  teamId is null for bindings made before multi-workspace support. */
+export async function listChannelDealBindings() {
+  const keys = new Set();
+  let cursor = "0";
+  do {
+    const [next, batch] = await redis.scan(cursor, "MATCH", "slack:*channel_deal:*", "COUNT", 200);
+    batch.forEach((k) => keys.add(k));
+    cursor = next;
+  } while (cursor !== "0");
+
+  const bindings = [];
+  for (const key of keys) {
+    const match = key.match(CHANNEL_DEAL_KEY_PATTERN);
+    if (!match) continue;
+    const data = await redis.get(key);
+    if (!data) continue;
+    bindings.push({ teamId: match[1] || null, channel_id: match[2], binding: JSON.parse(data) });
+  }
+  return bindings;
 }
 
 // ===== HubSpot Helpers =====
@@ -506,41 +850,33 @@ export async function hubspotTokenExchange(form) {
   return resp.data;
 }
 
-// In-memory cache for HubSpot token (same pattern as Slack)
-let _cachedHubSpotToken = null;
-let _cachedHubSpotTokenExpiresAt = 0;
+// In-memory cache for HubSpot tokens (same pattern as Slack), keyed by portal ID
+const _cachedHubSpotTokens = new Map();
 const HUBSPOT_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 
-export async function getHubSpotAccessToken() {
-  // Check in-memory cache first
-  if (_cachedHubSpotToken && Date.now() < _cachedHubSpotTokenExpiresAt) {
-    console.log("[getHubSpotAccessToken] returning cached token");
-    return _cachedHubSpotToken;
-  }
+function hubspotTokenKeys(portalId) {
+  const prefix = portalId ? `hubspot:${portalId}` : "hubspot";
+  return {
+    access: `${prefix}:access_token`,
+    refresh: `${prefix}:refresh_token`,
+    expiresAt: `${prefix}:expires_at_ms`,
+  };
+}
 
-  const r = getRedis();
+async function readHubSpotTokens(r, keys) {
   const [access, refresh, expiresAtMsStr] = await withTimeout(
     Promise.all([
-      r.get("hubspot:access_token"),
-      r.get("hubspot:refresh_token"),
-      r.get("hubspot:expires_at_ms"),
+      readSecret(r, keys.access),
+      readSecret(r, keys.refresh),
+      r.get(keys.expiresAt),
     ]),
     REDIS_READ_TIMEOUT_MS,
     "Redis read timeout (HubSpot token)."
   );
-  const expiresAtMs = expiresAtMsStr ? Number(expiresAtMsStr) : 0;
-
-  if (!refresh) throw new Error("HubSpot not connected: missing refresh token in Redis");
-
-  const now = Date.now();
-  const bufferMs = 60 * 1000; // refresh 60s early
-  if (access && expiresAtMs && now < expiresAtMs - bufferMs) {
-    _cachedHubSpotToken = access;
-    _cachedHubSpotTokenExpiresAt = Date.now() + HUBSPOT_CACHE_TTL_MS;
-    return access;
-  }
+  return { access, refresh, expiresAtMs: expiresAtMsStr ? Number(expiresAtMsStr) : 0 };
+}
 
-  // Refresh
+async function refreshHubSpotAccessToken(r, keys, refresh) {
   const form = new URLSearchParams();
   form.set("grant_type", "refresh_token");
   form.set("client_id", process.env.HUBSPOT_CLIENT_ID);
@@ -552,23 +888,137 @@ export async function getHubSpotAccessToken() {
   const expiresIn = Number(data.expires_in || 0);
   const newExpiresAt = Date.now() + expiresIn * 1000;
 
-  await r.set("hubspot:access_token", newAccess);
-  await r.set("hubspot:expires_at_ms", String(newExpiresAt));
+  await writeSecret(r, keys.access, newAccess);
+  await r.set(keys.expiresAt, String(newExpiresAt));
+  return newAccess;
+}
+
+/** The portal (hub ID) an access token belongs to. */
+export async function getHubSpotPortalIdForToken(accessToken) {
+  const resp = await axios.get(
+    `https://api.hubapi.com/oauth/v1/access-tokens/${encodeURIComponent(accessToken)}`,
+    { timeout: HUBSPOT_TIMEOUT_MS }
+  );
+  return resp.data?.hub_id ? String(resp.data.hub_id) : null;
+}
 
-  _cachedHubSpotToken = newAccess;
-  _cachedHubSpotTokenExpiresAt = Date.now() + HUBSPOT_CACHE_TTL_MS;
+/** Same migration as claimLegacySlackTokens: move the global hubspot:* tokens
+ *  under the portal they were issued for. */
+async function claimLegacyHubSpotTokens(r, portalId) {
+  const legacyKeys = hubspotTokenKeys(null);
+  const legacy = await readHubSpotTokens(r, legacyKeys);
+  if (!legacy.refresh) return false;
+
+  let owner = await r.get("hubspot:legacy_portal_id");
+  if (!owner) {
+    try {
+      const fresh = legacy.access && legacy.expiresAtMs > Date.now() + 60 * 1000
+        ? legacy.access
+        : await refreshHubSpotAccessToken(r, legacyKeys, legacy.refresh);
+      owner = await getHubSpotPortalIdForToken(fresh);
+    } catch (err) {
+      console.error("[claimLegacyHubSpotTokens] could not identify legacy portal:", err.message);
+      return false;
+    }
+    if (!owner) return false;
+    await r.set("hubspot:legacy_portal_id", owner);
+  }
+  if (owner !== String(portalId)) return false;
+
+  const current = await readHubSpotTokens(r, legacyKeys);
+  const keys = hubspotTokenKeys(portalId);
+  await Promise.all([
+    current.access ? writeSecret(r, keys.access, current.access) : null,
+    writeSecret(r, keys.refresh, current.refresh),
+    current.expiresAtMs ? r.set(keys.expiresAt, String(current.expiresAtMs)) : null,
+  ]);
+  await r.sadd("hubspot:portals", String(portalId));
+  await r.del(legacyKeys.access, legacyKeys.refresh, legacyKeys.expiresAt);
+  console.log("[claimLegacyHubSpotTokens] moved legacy HubSpot tokens to portal %s", portalId);
+  return true;
+}
+
+/** Access token for `portalId`, defaulting to the portal connected to the
+ *  current Slack workspace. */
+export async function getHubSpotAccessToken(portalId = null) {
+  if (!portalId) {
+    const tenant = await tenantPortal();
+    // An unmapped workspace must not fall through to the global (legacy) tokens
+    if (!tenant.portalId && !tenant.legacy) {
+      throw new Error("HubSpot isn't connected to this Slack workspace yet. Run `/deco connect-hubspot` to connect it.");
+    }
+    portalId = tenant.portalId;
+  }
+
+  // Check in-memory cache first
+  const cached = _cachedHubSpotTokens.get(portalId || "");
+  if (cached && Date.now() < cached.expiresAt) {
+    console.log("[getHubSpotAccessToken] returning cached token");
+    return cached.token;
+  }
+
+  const r = getRedis();
+  const keys = hubspotTokenKeys(portalId);
+  let { access, refresh, expiresAtMs } = await readHubSpotTokens(r, keys);
+  if (!refresh && portalId && (await claimLegacyHubSpotTokens(r, portalId))) {
+    ({ access, refresh, expiresAtMs } = await readHubSpotTokens(r, keys));
+  }
+
+  if (!refresh) throw new Error(`HubSpot not connected${portalId ? ` for portal ${portalId}` : ""}: missing refresh token in Redis`);
+
+  const now = Date.now();
+  const bufferMs = 60 * 1000; // refresh 60s early
+  if (access && expiresAtMs && now < expiresAtMs - bufferMs) {
+    _cachedHubSpotTokens.set(portalId || "", { token: access, expiresAt: Date.now() + HUBSPOT_CACHE_TTL_MS });
+    return access;
+  }
+
+  const newAccess = await refreshHubSpotAccessToken(r, keys, refresh);
+  _cachedHubSpotTokens.set(portalId || "", { token: newAccess, expiresAt: Date.now() + HUBSPOT_CACHE_TTL_MS });
   return newAccess;
 }
 
-export function hubspotClient(accessToken) {
-  return axios.create({
+/** Store tokens from the HubSpot OAuth callback under their portal. */
+export async function storeHubSpotTokens(portalId, { access_token, refresh_token, expires_in }) {
+  const r = getRedis();
+  const keys = hubspotTokenKeys(portalId);
+  const expiresAtMs = Date.now() + Number(expires_in || 0) * 1000;
+  await withTimeout(
+    Promise.all([
+      writeSecret(r, keys.access, access_token),
+      writeSecret(r, keys.refresh, refresh_token),
+      r.set(keys.expiresAt, String(expiresAtMs)),
+      r.sadd("hubspot:portals", String(portalId)),
+    ]),
+    5000,
+    "Redis write timeout — could not store HubSpot tokens. Check Redis connectivity."
+  );
+  _cachedHubSpotTokens.delete(String(portalId));
+}
+
+/** HubSpot API client with retries and a per-portal concurrency limit (see
+ *  hubspot-http.js). `portalId` defaults to the current tenant's portal; a workspace
+ *  with no portal yet is limited on its own. `deadline` bounds requests and retries. */
+export async function hubspotClient(accessToken, portalId = null, { deadline = null } = {}) {
+  const client = axios.create({
     baseURL: "https://api.hubapi.com",
     headers: { Authorization: `Bearer ${accessToken}` },
     timeout: HUBSPOT_TIMEOUT_MS
   });
+  const portal = portalId || (await getTenantPortalId());
+  return withRateLimiting(client, portal ? `portal:${portal}` : `team:${currentTeamId() || ""}`, { deadline });
 }
 
-export async function findBestDeal(hs, dealQuery) {
+const DEAL_PROPERTIES = ["dealname", "createdate", "closedate", "dealstage", "hs_is_closed_lost", "pipeline", "hubspot_owner_id", "amount", "dealtype", "description", "deal_currency_code"];
+
+/** Built-in deal properties plus the portal's configured ones (see deal-properties.js). */
+async function dealProperties(hs) {
+  const config = await loadPropertyConfig(hs);
+  return [...new Set([...DEAL_PROPERTIES, ...configuredProperties(config, "deals")])];
+}
+
+/** All deals matching the channel query, most recent close date first. */
+export async function searchDeals(hs, dealQuery) {
   const body = {
     filterGroups: [
       {
@@ -577,13 +1027,12 @@ export async function findBestDeal(hs, dealQuery) {
         ]
       }
     ],
-    properties: ["dealname", "createdate", "closedate", "dealstage", "pipeline", "hubspot_owner_id", "amount", "dealtype", "description", "deal_currency_code", "product_line", "source_configuration", "is_this_a_trial_"],
+    properties: await dealProperties(hs),
     limit: 10
   };
 
   const resp = await hs.post("/crm/v3/objects/deals/search", body);
   const results = resp.data?.results || [];
-  if (!results.length) return null;
 
   results.sort((a, b) => {
     const ac = a.properties?.closedate ? Number(new Date(a.properties.closedate)) : 0;
@@ -591,35 +1040,127 @@ export async function findBestDeal(hs, dealQuery) {
     return bc - ac;
   });
 
-  return results[0];
+  return results;
+}
+
+export async function findBestDeal(hs, dealQuery) {
+  const results = await searchDeals(hs, dealQuery);
+  return results[0] || null;
+}
+
+export async function getDealById(hs, dealId) {
+  try {
+    const resp = await hs.get(`/crm/v3/objects/deals/${dealId}`, {
+      params: { properties: (await dealProperties(hs)).join(",") }
+    });
+    return resp.data || null;
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw err;
+  }
+}
+
+/** Resolve the deal for a channel: a deal picked from the disambiguation prompt
+ *  wins, then an explicit /deco link binding, otherwise fall back to searching
+ *  HubSpot with the channel name. Returns the deal (or null) plus a human-readable
+ *  reason so handlers can tell users which deal was used. When the search matches
+ *  several deals, `deal` is null and `candidates` holds them for the picker. */
+export async function resolveDealForChannel(hs, channel_id, channelName, { dealId, pickedBy, threadDealId } = {}) {
+  const dealQuery = channelNameToDealQuery(channelName);
+
+  if (dealId) {
+    const deal = await getDealById(hs, dealId);
+    const by = pickedBy ? ` by <@${pickedBy}>` : "";
+    return {
+      deal,
+      dealQuery,
+      source: "picked",
+      reason: `picked${by} from the deals matching "${dealQuery}" — use /deco link to make it permanent`
+    };
+  }
+
+  // Follow-ups in a thread stay on the deal its first answer used
+  if (threadDealId) {
+    const deal = await getDealById(hs, threadDealId);
+    if (deal) return { deal, dealQuery, source: "thread", reason: "same deal as earlier in this thread" };
+    console.warn("[resolveDealForChannel] thread deal %s not found in HubSpot, resolving again", threadDealId);
+  }
+
+  const binding = await getChannelDealBinding(channel_id);
+  let staleNote = "";
+  if (binding?.dealId) {
+    const deal = await getDealById(hs, binding.dealId);
+    if (deal) {
+      const by = binding.linkedBy ? ` by <@${binding.linkedBy}>` : "";
+      return {
+        deal,
+        dealQuery,
+        source: "binding",
+        reason: `linked to this channel${by} via /deco link`
+      };
+    }
+    console.warn("[resolveDealForChannel] bound deal %s not found in HubSpot, falling back to search", binding.dealId);
+    staleNote = ` (linked deal ${binding.dealId} no longer exists in HubSpot)`;
+  }
+
+  const results = await searchDeals(hs, dealQuery);
+  if (results.length > 1) {
+    return { deal: null, candidates: results, dealQuery, source: "channel_name", reason: null };
+  }
+  return {
+    deal: results[0] || null,
+    dealQuery,
+    source: "channel_name",
+    reason: `only match for "${dealQuery}" from the channel name${staleNote} — use /deco link to pin a different deal`
+  };
+}
+
+const ASSOCIATION_PAGE_SIZE = 500;
+const BATCH_READ_SIZE = 100;
+
+/** IDs of every `toType` object associated with a CRM record, following
+ *  `paging.next.after` across pages. With `limit`, keeps the highest (newest) IDs. */
+export async function getAssociatedIds(hs, fromType, fromId, toType, { limit = 0 } = {}) {
+  const ids = [];
+  let after;
+  do {
+    const resp = await hs.get(`/crm/v4/objects/${fromType}/${fromId}/associations/${toType}`, {
+      params: { limit: ASSOCIATION_PAGE_SIZE, ...(after ? { after } : {}) }
+    });
+    for (const r of resp.data?.results || []) {
+      if (r.toObjectId) ids.push(r.toObjectId);
+    }
+    after = resp.data?.paging?.next?.after;
+  } while (after);
+
+  const unique = [...new Set(ids)].sort((a, b) => Number(b) - Number(a));
+  return limit > 0 ? unique.slice(0, limit) : unique;
 }
 
 export async function getDealAssociations(hs, dealId) {
   const [contacts, companies] = await Promise.allSettled([
-    hs.get(`/crm/v4/objects/deals/${dealId}/associations/contacts`),
-    hs.get(`/crm/v4/objects/deals/${dealId}/associations/companies`)
+    getAssociatedIds(hs, "deals", dealId, "contacts"),
+    getAssociatedIds(hs, "deals", dealId, "companies")
   ]);
 
-  const contactIds =
-    contacts.status === "fulfilled"
-      ? (contacts.value.data?.results || []).map((r) => r.toObjectId).filter(Boolean)
-      : [];
-
-  const companyIds =
-    companies.status === "fulfilled"
-      ? (companies.value.data?.results || []).map((r) => r.toObjectId).filter(Boolean)
-      : [];
+  const contactIds = contacts.status === "fulfilled" ? contacts.value : [];
+  const companyIds = companies.status === "fulfilled" ? companies.value : [];
 
   return { contactIds, companyIds };
 }
 
+/** Batch-read any number of objects, 100 IDs per request (HubSpot's batch limit). */
 export async function batchRead(hs, objectType, ids, properties) {
   if (!ids.length) return [];
-  const resp = await hs.post(`/crm/v3/objects/${objectType}/batch/read`, {
-    inputs: ids.slice(0, 100).map((id) => ({ id })),
-    properties
-  });
-  return resp.data?.results || [];
+  const results = [];
+  for (let i = 0; i < ids.length; i += BATCH_READ_SIZE) {
+    const resp = await hs.post(`/crm/v3/objects/${objectType}/batch/read`, {
+      inputs: ids.slice(i, i + BATCH_READ_SIZE).map((id) => ({ id })),
+      properties
+    });
+    results.push(...(resp.data?.results || []));
+  }
+  return results;
 }
 
 export async function resolveOwnerName(hs, ownerId) {
@@ -0,0 +1,61 @@
+// Manage a portal's custom HubSpot property config (api/slack/deal-properties.js):
+//
+//   REDIS_URL=... node scripts/deal-properties.js <portalId> show
+//   REDIS_URL=... node scripts/deal-properties.js <portalId> set path/to/config.json
+//   REDIS_URL=... node scripts/deal-properties.js <portalId> clear
+//   REDIS_URL=... node scripts/deal-properties.js <portalId> validate [path/to/config.json]
+//
+// "set" stores an override for the portal; "clear" falls back to
+// config/deal-properties.json. "validate" checks the portal's current config (or the
+// given file) against the portal's HubSpot properties without changing anything.
+import fs from "fs";
+import { getRedis, getHubSpotAccessToken, hubspotClient } from "../api/slack/utils.js";
+import {
+  getPropertyConfig,
+  setPropertyConfigOverride,
+  clearPropertyConfigOverride,
+  validatePropertyConfig,
+  findMissingProperties
+} from "../api/slack/deal-properties.js";
+
+const [portalId, command, file] = process.argv.slice(2);
+
+function readConfigFile(path) {
+  return JSON.parse(fs.readFileSync(path, "utf8"));
+}
+
+async function validate(config) {
+  const errors = validatePropertyConfig(config);
+  if (errors.length) throw new Error(`invalid config: ${errors.join("; ")}`);
+  const hs = await hubspotClient(await getHubSpotAccessToken(portalId), portalId);
+  const missing = await findMissingProperties(hs, config);
+  if (missing.length) throw new Error(`properties missing in portal ${portalId}: ${missing.join(", ")}`);
+}
+
+const redis = getRedis();
+try {
+  if (!portalId || !command) throw new Error("usage: node scripts/deal-properties.js <portalId> show|set <file>|clear|validate [file]");
+
+  if (command === "show") {
+    console.log(JSON.stringify(await getPropertyConfig(portalId), null, 2));
+  } else if (command === "set") {
+    if (!file) throw new Error("set needs a config file");
+    const config = readConfigFile(file);
+    await validate(config);
+    await setPropertyConfigOverride(portalId, config);
+    console.log("Stored property config override for portal %s.", portalId);
+  } else if (command === "clear") {
+    await clearPropertyConfigOverride(portalId);
+    console.log("Cleared property config override for portal %s.", portalId);
+  } else if (command === "validate") {
+    await validate(file ? readConfigFile(file) : await getPropertyConfig(portalId));
+    console.log("Property config is valid for portal %s.", portalId);
+  } else {
+    throw new Error(`unknown command "${command}"`);
+  }
+} catch (err) {
+  console.error("Deal property config:", err.message);
+  process.exitCode = 1;
+} finally {
+  redis.disconnect();
+}
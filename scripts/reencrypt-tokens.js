@@ -0,0 +1,20 @@
+// Re-encrypt the OAuth tokens stored in Redis under the current
+// TOKEN_ENCRYPTION_KEY_ID. Run after adding a new key to TOKEN_ENCRYPTION_KEYS:
+//
+//   REDIS_URL=... TOKEN_ENCRYPTION_KEYS=k2:...,k1:... TOKEN_ENCRYPTION_KEY_ID=k2 \
+//     node scripts/reencrypt-tokens.js
+//
+// Safe to run repeatedly; values already on the current key are left alone.
+import { getRedis } from "../api/slack/utils.js";
+import { reencryptSecrets } from "../api/slack/token-crypto.js";
+
+const redis = getRedis();
+try {
+  const result = await reencryptSecrets(redis);
+  console.log("Re-encrypted %d of %d stored tokens.", result.rewritten, result.scanned);
+} catch (err) {
+  console.error("Re-encryption failed:", err.message);
+  process.exitCode = 1;
+} finally {
+  redis.disconnect();
+}
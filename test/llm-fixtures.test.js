@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+// Runs the LLM pipeline — prompt building, the model call, parsing and validation —
+// against the recorded outputs in fixtures/llm (llm.js fixture provider), with no
+// network. Prompts are built from fixtures/deal-context.json, so a prompt change that
+// no longer matches a recording fails here. To re-record against a real provider:
+//   LLM_FIXTURE_RECORD=openai OPENAI_API_KEY=... npm test
+const FIXTURES_DIR = fileURLToPath(new URL("../fixtures/llm", import.meta.url));
+const RECORDING = !!process.env.LLM_FIXTURE_RECORD;
+process.env.LLM_PROVIDER = "fixture";
+process.env.LLM_FIXTURES_DIR = FIXTURES_DIR;
+
+const { complete } = await import("../api/slack/llm.js");
+const { classifyQuestion, buildQAPrompt, buildChannelItems, callOpenAIForQA } = await import("../api/slack/openai-qa.js");
+const { buildTimelineItems } = await import("../api/slack/hubspot-data.js");
+const { buildPromptFromHubSpotData } = await import("../api/slack/handoff.js");
+const { generatePlanForDeal } = await import("../api/slack/plan.js");
+const { validateDeploymentPlan } = await import("../api/slack/deployment-plan.js");
+const { engagementCitationId } = await import("../api/slack/citations.js");
+
+const deal = JSON.parse(await readFile(new URL("../fixtures/deal-context.json", import.meta.url), "utf8"));
+const { emails, calls, meetings, notes } = deal.activity;
+const timelineItems = buildTimelineItems(emails, calls, meetings, notes);
+
+test("every recorded fixture replays through complete()", { skip: RECORDING }, async () => {
+  const files = (await readdir(FIXTURES_DIR)).filter((f) => f.endsWith(".json"));
+  assert.ok(files.length > 0, "no fixtures recorded in fixtures/llm");
+  for (const file of files) {
+    const { task, schema, input, output } = JSON.parse(await readFile(path.join(FIXTURES_DIR, file), "utf8"));
+    const expected = typeof output === "string" ? output : JSON.stringify(output);
+    assert.equal(await complete(task, { input, schema: schema ? { name: schema } : null }), expected, file);
+  }
+});
+
+test("classifyQuestion uses the recorded classifier output", async () => {
+  assert.deepEqual(await classifyQuestion("any similar deployments in Texas?"), {
+    scope: "cross-deal",
+    keywords: ["Texas"]
+  });
+});
+
+test("a question about the deal is answered from its QA prompt", async () => {
+  const prompt = buildQAPrompt({
+    question: "when is the install and who is doing the rigging?",
+    dealData: { dealId: deal.dealId, dealName: deal.dealName },
+    threadContext: null,
+    hubspotData: { ...deal, timelineItems },
+    channelItems: buildChannelItems(deal.channelMessages)
+  });
+  const answer = await complete("qa", { input: prompt });
+  assert.match(answer, /March 10/);
+  assert.ok(answer.includes(`[${engagementCitationId("email", "501")}]`), "answer doesn't cite the email");
+});
+
+test("the handoff summary is written from the summary prompt", async () => {
+  const summary = await callOpenAIForQA(buildPromptFromHubSpotData({ ...deal, timelineItems }), "summary");
+  for (const header of ["*Deal Overview*", "*What Was Sold*", "*Open Items, Holdups & Risks*"]) {
+    assert.ok(summary.includes(header), `summary is missing ${header}`);
+  }
+});
+
+test("the deployment plan comes back valid and renders", async () => {
+  const { plan, planText } = await generatePlanForDeal(deal, deal.channelMessages);
+  assert.deepEqual(validateDeploymentPlan(plan), { ok: true, errors: [] });
+  assert.equal(plan.sold.product.value, "Neptune");
+  assert.match(planText, /Deployment Plan: Acme Robotics - Neptune/);
+});
+
+test("an unrecorded input fails instead of calling a provider", { skip: RECORDING }, async () => {
+  await assert.rejects(complete("classifier", { input: "not a recorded prompt" }), /No LLM fixture for classifier/);
+});